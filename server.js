@@ -2,7 +2,9 @@
  * Express backend server for Ollama AI suggestions
  * 
  * This server acts as a proxy to Ollama (local LLM) to generate AI suggestions
- * for headcount planning scenarios.
+ * for headcount planning scenarios. It also stores accounts, workspaces,
+ * saved scenarios and share link snapshots in JSON files under DATA_DIR
+ * (default: ./data).
  * 
  * Prerequisites:
  * 1. Install Ollama: https://ollama.ai
@@ -14,11 +16,17 @@
 
 import express from 'express'
 import cors from 'cors'
+import { createHash, randomBytes, randomUUID, scryptSync, timingSafeEqual } from 'node:crypto'
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { loadScenario } from './src/engine/scenarioSchema.js'
 
 const app = express()
 const PORT = process.env.PORT || 3000
 const OLLAMA_URL = process.env.OLLAMA_URL || 'http://localhost:11434'
 const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'llama3.2'
+const DATA_DIR = process.env.DATA_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), 'data')
 
 // Middleware
 app.use(cors())
@@ -752,6 +760,615 @@ Respond with ONLY a JSON object in this exact format (no backticks, no extra tex
   }
 })
 
+// ----- File-backed store -----
+// Each collection is one JSON file holding an array. Writes go through a
+// temp file and rename so a crash never leaves a half-written file, and are
+// queued so concurrent requests don't overwrite each other.
+
+let writeQueue = Promise.resolve()
+
+async function readCollection(name) {
+  try {
+    return JSON.parse(await readFile(path.join(DATA_DIR, `${name}.json`), 'utf8'))
+  } catch (error) {
+    if (error.code === 'ENOENT') return []
+    throw error
+  }
+}
+
+function updateCollection(name, update) {
+  const run = writeQueue.then(async () => {
+    const items = await readCollection(name)
+    const { items: updatedItems, result } = update(items)
+    if (updatedItems !== items) {
+      await mkdir(DATA_DIR, { recursive: true })
+      const file = path.join(DATA_DIR, `${name}.json`)
+      await writeFile(`${file}.tmp`, JSON.stringify(updatedItems, null, 2))
+      await rename(`${file}.tmp`, file)
+    }
+    return result
+  })
+  // Keep the queue going even if this write failed
+  writeQueue = run.catch(() => {})
+  return run
+}
+
+// Validate a scenario from a request body, sending a 400 with field-level
+// errors when it can't be stored. Returns the migrated scenario or null.
+function scenarioFromRequest(req, res) {
+  const { scenario, errors } = loadScenario(req.body?.scenario)
+  if (!scenario) {
+    res.status(400).json({ error: 'Invalid scenario', details: errors })
+    return null
+  }
+  return scenario
+}
+
+// ----- Accounts and sessions -----
+// Users sign in with a username and password (scrypt-hashed) and get a
+// session cookie. Only a hash of the session token is stored, like share
+// tokens below.
+
+const SESSION_COOKIE = 'warp_session'
+const SESSION_DAYS = 30
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/
+const MIN_PASSWORD_LENGTH = 8
+
+function hashPassword(password, salt = randomBytes(16).toString('hex')) {
+  return { salt, hash: scryptSync(password, salt, 64).toString('hex') }
+}
+
+function passwordMatches(password, user) {
+  const actual = Buffer.from(hashPassword(password, user.passwordSalt).hash, 'hex')
+  const expected = Buffer.from(user.passwordHash, 'hex')
+  return actual.length === expected.length && timingSafeEqual(actual, expected)
+}
+
+function readCookie(req, name) {
+  for (const part of (req.get('cookie') || '').split(';')) {
+    const [key, ...value] = part.trim().split('=')
+    if (key === name) return decodeURIComponent(value.join('='))
+  }
+  return null
+}
+
+async function startSession(req, res, userId) {
+  const token = randomBytes(32).toString('base64url')
+  const expiresAt = new Date(Date.now() + SESSION_DAYS * 24 * 60 * 60 * 1000)
+  await updateCollection('sessions', (items) => ({
+    // Expired sessions are dropped whenever a new one starts
+    items: [
+      ...items.filter((s) => new Date(s.expiresAt) > new Date()),
+      { tokenHash: hashToken(token), userId, expiresAt: expiresAt.toISOString() },
+    ],
+  }))
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    expires: expiresAt,
+    path: '/',
+  })
+}
+
+// The signed-in user and their workspaces, as returned by the auth routes
+async function sessionPayload(user) {
+  const workspaces = (await readCollection('workspaces'))
+    .map((workspace) => ({
+      id: workspace.id,
+      name: workspace.name,
+      role: workspace.members.find((m) => m.userId === user.id)?.role,
+    }))
+    .filter((workspace) => workspace.role)
+  return { user: { id: user.id, username: user.username }, workspaces }
+}
+
+function credentialsFromRequest(req, res) {
+  const username = String(req.body?.username || '').trim().toLowerCase()
+  const password = String(req.body?.password || '')
+  if (!USERNAME_PATTERN.test(username)) {
+    res.status(400).json({ error: 'Username must be 3-32 letters, numbers, dots, dashes or underscores' })
+    return null
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` })
+    return null
+  }
+  return { username, password }
+}
+
+// Middleware: loads the signed-in user into req.user, or sends a 401
+async function requireUser(req, res, next) {
+  try {
+    const token = readCookie(req, SESSION_COOKIE)
+    const session = token
+      ? (await readCollection('sessions')).find((s) => s.tokenHash === hashToken(token))
+      : null
+    if (!session || new Date(session.expiresAt) <= new Date()) {
+      return res.status(401).json({ error: 'Please sign in' })
+    }
+    const user = (await readCollection('users')).find((u) => u.id === session.userId)
+    if (!user) return res.status(401).json({ error: 'Please sign in' })
+    req.user = user
+    return next()
+  } catch (error) {
+    console.error('Error reading session:', error)
+    return res.status(500).json({ error: 'Failed to read session' })
+  }
+}
+
+const WORKSPACE_ROLES = ['viewer', 'editor', 'owner']
+
+// Middleware: checks the signed-in user has at least minimumRole in the
+// :workspaceId workspace. Non-members get a 404 so workspace ids don't leak.
+function requireWorkspaceRole(minimumRole) {
+  return async (req, res, next) => {
+    try {
+      const workspace = (await readCollection('workspaces')).find((w) => w.id === req.params.workspaceId)
+      const role = workspace?.members.find((m) => m.userId === req.user.id)?.role
+      if (!role) return res.status(404).json({ error: 'Workspace not found' })
+      if (WORKSPACE_ROLES.indexOf(role) < WORKSPACE_ROLES.indexOf(minimumRole)) {
+        return res.status(403).json({ error: `This needs the ${minimumRole} role in this workspace` })
+      }
+      req.workspace = workspace
+      return next()
+    } catch (error) {
+      console.error('Error reading workspace:', error)
+      return res.status(500).json({ error: 'Failed to read workspace' })
+    }
+  }
+}
+
+function createWorkspace(name, ownerId) {
+  return updateCollection('workspaces', (items) => {
+    const workspace = {
+      id: `ws_${randomUUID()}`,
+      name,
+      members: [{ userId: ownerId, role: 'owner' }],
+      createdAt: new Date().toISOString(),
+    }
+    return { items: [...items, workspace], result: workspace }
+  })
+}
+
+/**
+ * POST /api/auth/register
+ *
+ * Creates an account and a workspace owned by it, then signs in. The first
+ * account also takes over scenarios saved before workspaces existed.
+ */
+app.post('/api/auth/register', async (req, res) => {
+  const credentials = credentialsFromRequest(req, res)
+  if (!credentials) return
+
+  try {
+    const { salt, hash } = hashPassword(credentials.password)
+    const registered = await updateCollection('users', (items) => {
+      if (items.some((u) => u.username === credentials.username)) return { items, result: null }
+      const user = {
+        id: `user_${randomUUID()}`,
+        username: credentials.username,
+        passwordSalt: salt,
+        passwordHash: hash,
+        createdAt: new Date().toISOString(),
+      }
+      return { items: [...items, user], result: { user, isFirstUser: items.length === 0 } }
+    })
+    if (!registered) return res.status(409).json({ error: 'That username is taken' })
+
+    const { user, isFirstUser } = registered
+    const workspace = await createWorkspace(`${user.username}'s workspace`, user.id)
+    if (isFirstUser) {
+      await updateCollection('scenarios', (items) =>
+        items.some((s) => !s.workspaceId)
+          ? { items: items.map((s) => (s.workspaceId ? s : { ...s, workspaceId: workspace.id })) }
+          : { items },
+      )
+    }
+
+    await startSession(req, res, user.id)
+    return res.status(201).json(await sessionPayload(user))
+  } catch (error) {
+    console.error('Error in POST /api/auth/register:', error)
+    return res.status(500).json({ error: 'Failed to create account' })
+  }
+})
+
+/**
+ * POST /api/auth/login
+ *
+ * Signs in with a username and password
+ */
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const username = String(req.body?.username || '').trim().toLowerCase()
+    const user = (await readCollection('users')).find((u) => u.username === username)
+    if (!user || !passwordMatches(String(req.body?.password || ''), user)) {
+      return res.status(401).json({ error: 'Wrong username or password' })
+    }
+    await startSession(req, res, user.id)
+    return res.json(await sessionPayload(user))
+  } catch (error) {
+    console.error('Error in POST /api/auth/login:', error)
+    return res.status(500).json({ error: 'Failed to sign in' })
+  }
+})
+
+/**
+ * POST /api/auth/logout
+ *
+ * Ends the current session
+ */
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const token = readCookie(req, SESSION_COOKIE)
+    if (token) {
+      const tokenHash = hashToken(token)
+      await updateCollection('sessions', (items) => ({ items: items.filter((s) => s.tokenHash !== tokenHash) }))
+    }
+    res.clearCookie(SESSION_COOKIE, { path: '/' })
+    return res.status(204).end()
+  } catch (error) {
+    console.error('Error in POST /api/auth/logout:', error)
+    return res.status(500).json({ error: 'Failed to sign out' })
+  }
+})
+
+/**
+ * GET /api/auth/session
+ *
+ * Returns the signed-in user and their workspaces, or 401
+ */
+app.get('/api/auth/session', requireUser, async (req, res) => {
+  try {
+    return res.json(await sessionPayload(req.user))
+  } catch (error) {
+    console.error('Error in GET /api/auth/session:', error)
+    return res.status(500).json({ error: 'Failed to read session' })
+  }
+})
+
+// ----- Workspaces -----
+// Scenarios belong to a workspace. Viewers can read them, editors can also
+// save and delete, and owners can also manage members.
+
+/**
+ * POST /api/workspaces
+ *
+ * Creates a workspace owned by the signed-in user
+ */
+app.post('/api/workspaces', requireUser, async (req, res) => {
+  const name = String(req.body?.name || '').trim()
+  if (!name) return res.status(400).json({ error: 'Workspace name is required' })
+
+  try {
+    const workspace = await createWorkspace(name, req.user.id)
+    return res.status(201).json({ workspace: { id: workspace.id, name: workspace.name, role: 'owner' } })
+  } catch (error) {
+    console.error('Error in POST /api/workspaces:', error)
+    return res.status(500).json({ error: 'Failed to create workspace' })
+  }
+})
+
+/**
+ * GET /api/workspaces/:workspaceId/members
+ *
+ * Lists a workspace's members and their roles
+ */
+app.get('/api/workspaces/:workspaceId/members', requireUser, requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const users = await readCollection('users')
+    const members = req.workspace.members.map((member) => ({
+      username: users.find((u) => u.id === member.userId)?.username,
+      role: member.role,
+    }))
+    return res.json({ members })
+  } catch (error) {
+    console.error('Error in GET /api/workspaces/:workspaceId/members:', error)
+    return res.status(500).json({ error: 'Failed to read members' })
+  }
+})
+
+// Members left after a change must still include an owner
+function hasOwner(members) {
+  return members.some((member) => member.role === 'owner')
+}
+
+/**
+ * PUT /api/workspaces/:workspaceId/members/:username
+ *
+ * Adds an existing account to the workspace, or changes its role
+ */
+app.put('/api/workspaces/:workspaceId/members/:username', requireUser, requireWorkspaceRole('owner'), async (req, res) => {
+  const role = req.body?.role
+  if (!WORKSPACE_ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of ${WORKSPACE_ROLES.join(', ')}` })
+  }
+
+  try {
+    const user = (await readCollection('users')).find((u) => u.username === req.params.username.toLowerCase())
+    if (!user) return res.status(404).json({ error: 'No account with that username' })
+
+    const members = await updateCollection('workspaces', (items) => {
+      const workspace = items.find((w) => w.id === req.params.workspaceId)
+      const others = workspace.members.filter((m) => m.userId !== user.id)
+      const updated = [...others, { userId: user.id, role }]
+      if (!hasOwner(updated)) return { items, result: null }
+      return {
+        items: items.map((w) => (w.id === workspace.id ? { ...w, members: updated } : w)),
+        result: updated,
+      }
+    })
+    if (!members) return res.status(409).json({ error: 'A workspace needs at least one owner' })
+    return res.json({ member: { username: user.username, role } })
+  } catch (error) {
+    console.error('Error in PUT /api/workspaces/:workspaceId/members/:username:', error)
+    return res.status(500).json({ error: 'Failed to update member' })
+  }
+})
+
+/**
+ * DELETE /api/workspaces/:workspaceId/members/:username
+ *
+ * Removes a member from the workspace
+ */
+app.delete('/api/workspaces/:workspaceId/members/:username', requireUser, requireWorkspaceRole('owner'), async (req, res) => {
+  try {
+    const user = (await readCollection('users')).find((u) => u.username === req.params.username.toLowerCase())
+    if (!user || !req.workspace.members.some((m) => m.userId === user.id)) {
+      return res.status(404).json({ error: 'Member not found' })
+    }
+
+    const removed = await updateCollection('workspaces', (items) => {
+      const workspace = items.find((w) => w.id === req.params.workspaceId)
+      const remaining = workspace.members.filter((m) => m.userId !== user.id)
+      if (!hasOwner(remaining)) return { items, result: false }
+      return {
+        items: items.map((w) => (w.id === workspace.id ? { ...w, members: remaining } : w)),
+        result: true,
+      }
+    })
+    if (!removed) return res.status(409).json({ error: 'A workspace needs at least one owner' })
+    return res.status(204).end()
+  } catch (error) {
+    console.error('Error in DELETE /api/workspaces/:workspaceId/members/:username:', error)
+    return res.status(500).json({ error: 'Failed to remove member' })
+  }
+})
+
+// ----- Saved scenarios -----
+// Stored in one collection, each tagged with its workspaceId. Ids are unique
+// within a workspace.
+
+function inWorkspace(req) {
+  return (s) => s.workspaceId === req.params.workspaceId
+}
+
+// A stored scenario as returned to the client, without its workspace tag
+function withoutWorkspace({ workspaceId: _workspaceId, ...scenario }) {
+  return scenario
+}
+
+/**
+ * GET /api/workspaces/:workspaceId/scenarios
+ *
+ * Returns all scenarios saved in the workspace
+ */
+app.get('/api/workspaces/:workspaceId/scenarios', requireUser, requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const scenarios = (await readCollection('scenarios')).filter(inWorkspace(req)).map(withoutWorkspace)
+    return res.json({ scenarios })
+  } catch (error) {
+    console.error('Error in GET /api/workspaces/:workspaceId/scenarios:', error)
+    return res.status(500).json({ error: 'Failed to read scenarios' })
+  }
+})
+
+/**
+ * GET /api/workspaces/:workspaceId/scenarios/:id
+ *
+ * Returns a single saved scenario
+ */
+app.get('/api/workspaces/:workspaceId/scenarios/:id', requireUser, requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const scenario = (await readCollection('scenarios')).find((s) => inWorkspace(req)(s) && s.id === req.params.id)
+    if (!scenario) return res.status(404).json({ error: 'Scenario not found' })
+    return res.json({ scenario: withoutWorkspace(scenario) })
+  } catch (error) {
+    console.error('Error in GET /api/workspaces/:workspaceId/scenarios/:id:', error)
+    return res.status(500).json({ error: 'Failed to read scenario' })
+  }
+})
+
+/**
+ * POST /api/workspaces/:workspaceId/scenarios
+ *
+ * Saves a new scenario. Keeps the client's id when one is given so scenarios
+ * saved offline keep the same id once synced.
+ */
+app.post('/api/workspaces/:workspaceId/scenarios', requireUser, requireWorkspaceRole('editor'), async (req, res) => {
+  const scenario = scenarioFromRequest(req, res)
+  if (!scenario) return
+
+  try {
+    const saved = await updateCollection('scenarios', (items) => {
+      const id = scenario.id || `saved_${randomUUID()}`
+      if (items.some((s) => inWorkspace(req)(s) && s.id === id)) return { items, result: null }
+      const created = { ...scenario, id, workspaceId: req.params.workspaceId, updatedAt: new Date().toISOString() }
+      return { items: [...items, created], result: created }
+    })
+    if (!saved) return res.status(409).json({ error: 'A scenario with this id already exists' })
+    return res.status(201).json({ scenario: withoutWorkspace(saved) })
+  } catch (error) {
+    console.error('Error in POST /api/workspaces/:workspaceId/scenarios:', error)
+    return res.status(500).json({ error: 'Failed to save scenario' })
+  }
+})
+
+/**
+ * PUT /api/workspaces/:workspaceId/scenarios/:id
+ *
+ * Creates or replaces the scenario with this id
+ */
+app.put('/api/workspaces/:workspaceId/scenarios/:id', requireUser, requireWorkspaceRole('editor'), async (req, res) => {
+  const scenario = scenarioFromRequest(req, res)
+  if (!scenario) return
+
+  try {
+    const saved = await updateCollection('scenarios', (items) => {
+      const updated = {
+        ...scenario,
+        id: req.params.id,
+        workspaceId: req.params.workspaceId,
+        updatedAt: new Date().toISOString(),
+      }
+      const isTarget = (s) => inWorkspace(req)(s) && s.id === req.params.id
+      return {
+        items: items.some(isTarget) ? items.map((s) => (isTarget(s) ? updated : s)) : [...items, updated],
+        result: updated,
+      }
+    })
+    return res.json({ scenario: withoutWorkspace(saved) })
+  } catch (error) {
+    console.error('Error in PUT /api/workspaces/:workspaceId/scenarios/:id:', error)
+    return res.status(500).json({ error: 'Failed to save scenario' })
+  }
+})
+
+/**
+ * DELETE /api/workspaces/:workspaceId/scenarios/:id
+ *
+ * Deletes a saved scenario
+ */
+app.delete('/api/workspaces/:workspaceId/scenarios/:id', requireUser, requireWorkspaceRole('editor'), async (req, res) => {
+  try {
+    const deleted = await updateCollection('scenarios', (items) => {
+      const remaining = items.filter((s) => !(inWorkspace(req)(s) && s.id === req.params.id))
+      return remaining.length === items.length
+        ? { items, result: false }
+        : { items: remaining, result: true }
+    })
+    if (!deleted) return res.status(404).json({ error: 'Scenario not found' })
+    return res.status(204).end()
+  } catch (error) {
+    console.error('Error in DELETE /api/workspaces/:workspaceId/scenarios/:id:', error)
+    return res.status(500).json({ error: 'Failed to delete scenario' })
+  }
+})
+
+// ----- Share links -----
+// A share is an immutable snapshot of a scenario behind a short slug, so
+// links stay short and keep showing what was shared even if the scenario
+// is edited later. Protected shares also need an access token and expire;
+// only a hash of the token is stored.
+
+const SLUG_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz'
+const SLUG_LENGTH = 8
+const SLUG_PATTERN = /^[0-9A-Za-z]+$/
+const MAX_SHARE_EXPIRY_DAYS = 365
+
+function generateSlug() {
+  return Array.from(randomBytes(SLUG_LENGTH), (byte) => SLUG_ALPHABET[byte % SLUG_ALPHABET.length]).join('')
+}
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex')
+}
+
+// Token sent as "Authorization: Bearer <token>", or null
+function bearerToken(req) {
+  const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i)
+  return match ? match[1] : null
+}
+
+function tokenMatches(token, expectedHash) {
+  const actual = Buffer.from(hashToken(token), 'hex')
+  const expected = Buffer.from(expectedHash, 'hex')
+  return actual.length === expected.length && timingSafeEqual(actual, expected)
+}
+
+/**
+ * POST /api/share
+ *
+ * Stores a snapshot of the scenario and returns its slug. The app opens
+ * shares at /s/:slug. With protection: { expiresInDays }, the share also
+ * gets an access token (returned once, never stored in plain text) and an
+ * expiry date.
+ */
+app.post('/api/share', async (req, res) => {
+  const protection = req.body?.protection
+  if (
+    protection != null &&
+    !(Number.isInteger(protection.expiresInDays) &&
+      protection.expiresInDays >= 1 &&
+      protection.expiresInDays <= MAX_SHARE_EXPIRY_DAYS)
+  ) {
+    return res.status(400).json({ error: `protection.expiresInDays must be a whole number from 1 to ${MAX_SHARE_EXPIRY_DAYS}` })
+  }
+
+  const scenario = scenarioFromRequest(req, res)
+  if (!scenario) return
+
+  try {
+    const now = new Date()
+    const token = protection ? randomBytes(24).toString('base64url') : null
+    const expiresAt = protection
+      ? new Date(now.getTime() + protection.expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+      : null
+
+    const share = await updateCollection('shares', (items) => {
+      const taken = new Set(items.map((s) => s.slug))
+      let slug = generateSlug()
+      while (taken.has(slug)) slug = generateSlug()
+      const created = {
+        slug,
+        scenario,
+        createdAt: now.toISOString(),
+        ...(token ? { tokenHash: hashToken(token), expiresAt } : {}),
+      }
+      return { items: [...items, created], result: created }
+    })
+    return res.status(201).json({
+      slug: share.slug,
+      path: `/s/${share.slug}`,
+      ...(token ? { token, expiresAt } : {}),
+    })
+  } catch (error) {
+    console.error('Error in POST /api/share:', error)
+    return res.status(500).json({ error: 'Failed to create share link' })
+  }
+})
+
+/**
+ * GET /api/share/:slug
+ *
+ * Returns the scenario snapshot behind a share link. Protected shares need
+ * their access token as "Authorization: Bearer <token>" and stop opening once
+ * they expire.
+ */
+app.get('/api/share/:slug', async (req, res) => {
+  if (!SLUG_PATTERN.test(req.params.slug)) {
+    return res.status(404).json({ error: 'Share link not found' })
+  }
+
+  try {
+    const share = (await readCollection('shares')).find((s) => s.slug === req.params.slug)
+    if (!share) return res.status(404).json({ error: 'Share link not found' })
+
+    if (share.tokenHash) {
+      const token = bearerToken(req)
+      if (!token) return res.status(401).json({ error: 'This shared scenario needs an access token' })
+      if (!tokenMatches(token, share.tokenHash)) return res.status(403).json({ error: 'Access token is not valid' })
+      if (new Date(share.expiresAt) <= new Date()) return res.status(410).json({ error: 'This shared scenario has expired' })
+    }
+
+    return res.json({ scenario: share.scenario, createdAt: share.createdAt, expiresAt: share.expiresAt })
+  } catch (error) {
+    console.error('Error in GET /api/share/:slug:', error)
+    return res.status(500).json({ error: 'Failed to read share link' })
+  }
+})
+
 // Start server
 app.listen(PORT, () => {
   console.log(`Backend server running on http://localhost:${PORT}`)
@@ -1,5 +1,5 @@
 import './App.css'
-import { useState, useEffect, useRef } from 'react'
+import { useState, useEffect, useRef, useMemo } from 'react'
 import jsPDF from 'jspdf'
 import html2canvas from 'html2canvas'
 import {
@@ -7,18 +7,104 @@ import {
   aggressiveHiringScenario,
   conservativeScenario,
   availableRoles,
+  describeMonth,
+  MONTH_NAMES,
+  locationTiers,
+  DEFAULT_LOCATION_ID,
+  getSalaryBand,
+  financingTypes,
   runBurnRate,
   estimateRunway,
+  monthIndexForDate,
+  rebaseDatedItems,
+  isFounder,
 } from './engine'
 import CashRunwayChart from './CashRunwayChart.jsx'
 import RoleSpendingPieChart from './RoleSpendingPieChart.jsx'
 import SpendingCategoryPieChart from './SpendingCategoryPieChart.jsx'
 import OptionPoolSuggestion from './OptionPoolSuggestion.jsx'
+import FundraisingPanel from './FundraisingPanel.jsx'
+import RunwayPlannerPanel from './RunwayPlannerPanel.jsx'
+import TornadoChart from './TornadoChart.jsx'
+import ScenarioComparison from './ScenarioComparison.jsx'
+import ScenarioDiffView from './ScenarioDiffView.jsx'
+import { findHireStartWindow } from './engine/goalSeek.js'
+import { loadScenario } from './engine/scenarioSchema.js'
+import {
+  fetchSavedScenarios,
+  putSavedScenario,
+  deleteSavedScenario,
+  fetchSession,
+  fetchShare,
+} from './engine/scenarioApi.js'
+import { createProtectedShareLink, createShareLink, readShareSlug, readShareToken } from './engine/shareLinks.js'
+import { decodeScenario } from './engine/scenarioCodec.js'
+import { MIN_BUCKET_SIZE, REDACTION_GROUPINGS, isRedacted, redactScenario } from './engine/redaction.js'
+import ScenarioLoadErrors from './ScenarioLoadErrors.jsx'
+import HireDetailsEditor from './HireDetailsEditor.jsx'
 import AIInsights from './AIInsights.jsx'
+import WorkspacePanel from './WorkspacePanel.jsx'
 import ViralDashboard from './ViralDashboard.jsx'
 import { getAISuggestions } from './engine/ai.js'
 
 const STORAGE_KEY = 'warp-project-saved-scenarios'
+// Ids of saved scenarios deleted while the server was unreachable
+const PENDING_DELETES_KEY = 'warp-project-pending-scenario-deletes'
+// Ids of saved scenarios created or changed while the server was unreachable
+const PENDING_UPLOADS_KEY = 'warp-project-pending-scenario-uploads'
+// Workspace whose saved scenarios were last shown
+const WORKSPACE_KEY = 'warp-project-workspace'
+
+// Each workspace keeps its own localStorage copy. Without a workspace (signed
+// out) the unscoped key holds scenarios saved in this browser only.
+function scopedKey(key, workspaceId) {
+  return workspaceId ? `${key}:${workspaceId}` : key
+}
+
+function readPendingIds(key, workspaceId) {
+  try {
+    return JSON.parse(localStorage.getItem(scopedKey(key, workspaceId))) || []
+  } catch {
+    return []
+  }
+}
+
+function writePendingIds(key, workspaceId, ids) {
+  try {
+    localStorage.setItem(scopedKey(key, workspaceId), JSON.stringify(ids))
+  } catch (error) {
+    console.error('Failed to save pending scenario changes to localStorage:', error)
+  }
+}
+
+function addPendingId(key, workspaceId, id) {
+  const ids = readPendingIds(key, workspaceId)
+  if (!ids.includes(id)) writePendingIds(key, workspaceId, [...ids, id])
+}
+
+function removePendingId(key, workspaceId, id) {
+  writePendingIds(key, workspaceId, readPendingIds(key, workspaceId).filter((pendingId) => pendingId !== id))
+}
+
+function readStoredWorkspaceId() {
+  try {
+    return localStorage.getItem(WORKSPACE_KEY)
+  } catch {
+    return null
+  }
+}
+
+function writeStoredWorkspaceId(workspaceId) {
+  try {
+    if (workspaceId) {
+      localStorage.setItem(WORKSPACE_KEY, workspaceId)
+    } else {
+      localStorage.removeItem(WORKSPACE_KEY)
+    }
+  } catch (error) {
+    console.error('Failed to save workspace to localStorage:', error)
+  }
+}
 
 // ID generator that's safe for React (not called during render)
 let __localIdCounter = 0
@@ -27,6 +113,17 @@ function makeLocalId(prefix) {
   return `${prefix}_${__localIdCounter}_${Math.random().toString(36).slice(2, 7)}`
 }
 
+// The custom plan's general overhead can be trimmed by hand but is never
+// proposed as a cost to drop outright
+const PLANNER_FIXED_COST_IDS = ['custom_non_headcount']
+
+// Median salary for a role in a location, so a new hire's stored
+// annualSalary matches what it will actually be paid
+function roleSalaryIn(role, locationId) {
+  const band = getSalaryBand(role.id, locationId)
+  return band ? band.median : role.annualSalary
+}
+
 const baseCustomNonHeadcount = seedStageScenario.nonHeadcountCosts.reduce(
   (sum, cost) => sum + cost.monthlyAmount,
   0,
@@ -49,24 +146,46 @@ function App() {
   
   const [mode, setMode] = useState(getModeFromURL()) // 'utility' | 'viral'
   
-  // Load scenario from URL if present (for shareable links) - check this BEFORE initializing selectedView
+  // Load scenario from URL if present (for shareable links) - check this BEFORE initializing selectedView.
+  // Returns null when there is no shared scenario, otherwise the migrated
+  // scenario or the field-level errors explaining why it can't be used.
   const loadScenarioFromURL = () => {
     try {
       const urlParams = new URLSearchParams(window.location.search)
       const scenarioData = urlParams.get('scenario')
       if (scenarioData) {
-        const decoded = decodeURIComponent(scenarioData)
-        const parsed = JSON.parse(decoded)
-        // Validate it has required fields
-        if (parsed && parsed.startingCash !== undefined && parsed.hires && parsed.nonHeadcountCosts) {
-          return parsed
-        }
+        return loadScenario(decodeScenario(scenarioData))
       }
     } catch (error) {
       console.error('Failed to load scenario from URL:', error)
+      return { scenario: null, errors: [{ path: 'scenario', message: 'is not a readable scenario link' }] }
     }
     return null
   }
+
+  // Load a workspace's saved scenarios from localStorage (or, without one,
+  // this browser's own), keeping the ones that fail validation aside (with
+  // their errors) rather than dropping them
+  const loadSavedScenarios = (workspaceId) => {
+    const scenarios = []
+    const unreadable = []
+    try {
+      const stored = localStorage.getItem(scopedKey(STORAGE_KEY, workspaceId))
+      if (stored) {
+        JSON.parse(stored).forEach((raw) => {
+          const { scenario, errors } = loadScenario(raw)
+          if (scenario) {
+            scenarios.push(scenario)
+          } else {
+            unreadable.push({ raw, errors })
+          }
+        })
+      }
+    } catch (error) {
+      console.error('Failed to load saved scenarios from localStorage:', error)
+    }
+    return { scenarios, unreadable }
+  }
   
   // Initialize selectedView to 'custom' (blank plan) by default, or use URL scenario if present
   const [selectedView, setSelectedView] = useState(() => {
@@ -74,28 +193,172 @@ function App() {
     // Always start with 'custom' (blank plan) unless loading from URL
     return urlScenario ? 'custom' : 'custom'
   })
+  // Workspace the saved scenarios below belong to (null: this browser only).
+  // Always set together with savedScenarios.
+  const [savedScope, setSavedScope] = useState(readStoredWorkspaceId)
   const [savedScenarios, setSavedScenarios] = useState(() => {
-    // Load saved scenarios from localStorage on initial mount
-    try {
-      const stored = localStorage.getItem(STORAGE_KEY)
-      if (stored) {
-        return JSON.parse(stored)
-      }
-    } catch (error) {
-      console.error('Failed to load saved scenarios from localStorage:', error)
-    }
-    return []
+    // Load the cached copy from localStorage on initial mount
+    return loadSavedScenarios(readStoredWorkspaceId()).scenarios
+  })
+  // Saved scenarios that failed validation, still persisted until discarded
+  const [unreadableSavedScenarios, setUnreadableSavedScenarios] = useState(
+    () => loadSavedScenarios(readStoredWorkspaceId()).unreadable,
+  )
+  // Errors from a shared link that couldn't be loaded
+  const [urlLoadErrors, setUrlLoadErrors] = useState(() => {
+    const urlLoad = loadScenarioFromURL()
+    return urlLoad && !urlLoad.scenario ? urlLoad.errors : null
   })
   const [selectedSavedId, setSelectedSavedId] = useState(null)
 
   // Save savedScenarios to localStorage whenever it changes
   useEffect(() => {
     try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(savedScenarios))
+      const unreadable = unreadableSavedScenarios.filter(({ fromServer }) => !fromServer).map(({ raw }) => raw)
+      localStorage.setItem(scopedKey(STORAGE_KEY, savedScope), JSON.stringify([...savedScenarios, ...unreadable]))
     } catch (error) {
       console.error('Failed to save scenarios to localStorage:', error)
     }
-  }, [savedScenarios])
+  }, [savedScenarios, unreadableSavedScenarios, savedScope])
+
+  // Signed-in user and their workspaces: undefined while checking (or when the
+  // server can't be reached), null when signed out
+  const [session, setSession] = useState(undefined)
+  const [workspaceId, setWorkspaceId] = useState(readStoredWorkspaceId)
+  const activeWorkspace =
+    session?.workspaces.find((workspace) => workspace.id === workspaceId) || session?.workspaces[0] || null
+  const activeWorkspaceId = activeWorkspace?.id || null
+  const activeWorkspaceRole = activeWorkspace?.role || null
+  // Viewers can open a workspace's scenarios but not save or delete them
+  const canEditSaved = activeWorkspaceRole !== 'viewer'
+
+  // 'syncing' | 'synced' | 'offline' | 'local' - whether saved scenarios match
+  // the server ('local': signed out, so they are kept in this browser only)
+  const [savedSyncStatus, setSavedSyncStatus] = useState('syncing')
+
+  useEffect(() => {
+    let cancelled = false
+    fetchSession()
+      .then((current) => {
+        if (!cancelled) setSession(current)
+      })
+      .catch((error) => {
+        console.error('Failed to check the session, using cached saved scenarios:', error)
+        if (!cancelled) setSavedSyncStatus('offline')
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  // Sync the active workspace's saved scenarios with the server whenever the
+  // session or workspace changes. Deletes and saves made offline are
+  // replayed, scenarios saved while signed out move into the workspace, and
+  // the server's copy wins for everything else. If the server can't be
+  // reached the workspace's localStorage copy keeps working and is synced on
+  // the next load.
+  useEffect(() => {
+    if (session === undefined) return
+    let cancelled = false
+
+    function showScenarios(scope, { scenarios, unreadable }, status) {
+      setSavedScenarios(scenarios)
+      setUnreadableSavedScenarios(unreadable)
+      setSavedScope(scope)
+      setSavedSyncStatus(status)
+    }
+
+    async function syncSavedScenarios() {
+      if (!activeWorkspaceId) {
+        showScenarios(null, loadSavedScenarios(null), 'local')
+        return
+      }
+
+      const scope = activeWorkspaceId
+      const cached = loadSavedScenarios(scope)
+      try {
+        if (activeWorkspaceRole !== 'viewer') {
+          for (const id of readPendingIds(PENDING_DELETES_KEY, scope)) {
+            await deleteSavedScenario(scope, id)
+          }
+          writePendingIds(PENDING_DELETES_KEY, scope, [])
+
+          const pendingUploads = new Set(readPendingIds(PENDING_UPLOADS_KEY, scope))
+          await Promise.all(
+            cached.scenarios.filter((s) => pendingUploads.has(s.id)).map((s) => putSavedScenario(scope, s)),
+          )
+          writePendingIds(PENDING_UPLOADS_KEY, scope, [])
+
+          const browserOnly = loadSavedScenarios(null)
+          if (browserOnly.scenarios.length > 0) {
+            await Promise.all(browserOnly.scenarios.map((s) => putSavedScenario(scope, s)))
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(browserOnly.unreadable.map(({ raw }) => raw)))
+          }
+        }
+
+        const serverScenarios = []
+        const serverUnreadable = []
+        const fetched = await fetchSavedScenarios(scope)
+        fetched.forEach((raw) => {
+          const { scenario, errors } = loadScenario(raw)
+          if (scenario) {
+            serverScenarios.push(scenario)
+          } else {
+            serverUnreadable.push({ raw, errors, fromServer: true })
+          }
+        })
+
+        if (cancelled) return
+        // Saves still on their way to the server stay in the list
+        const stillUploading = new Set(readPendingIds(PENDING_UPLOADS_KEY, scope))
+        setSavedScenarios((prev) => [
+          ...serverScenarios.filter((s) => !stillUploading.has(s.id)),
+          ...prev.filter((s) => stillUploading.has(s.id)),
+        ])
+        setUnreadableSavedScenarios([
+          ...cached.unreadable.filter(({ fromServer }) => !fromServer),
+          ...serverUnreadable,
+        ])
+        setSavedScope(scope)
+        setSavedSyncStatus('synced')
+        writeStoredWorkspaceId(scope)
+      } catch (error) {
+        if (cancelled) return
+        if (error.status === 401) {
+          setSession(null)
+          return
+        }
+        console.error('Failed to sync saved scenarios with the server:', error)
+        showScenarios(scope, cached, 'offline')
+      }
+    }
+
+    syncSavedScenarios()
+    return () => {
+      cancelled = true
+    }
+    // Later changes are pushed by the save/delete handlers
+  }, [session, activeWorkspaceId, activeWorkspaceRole])
+
+  function handleSessionChange(nextSession) {
+    if (!nextSession) {
+      // Don't leave a signed-out user with another account's cached scenarios
+      Object.keys(localStorage)
+        .filter((key) => [STORAGE_KEY, PENDING_DELETES_KEY, PENDING_UPLOADS_KEY].some((k) => key.startsWith(`${k}:`)))
+        .forEach((key) => localStorage.removeItem(key))
+      writeStoredWorkspaceId(null)
+      setWorkspaceId(null)
+    }
+    setSelectedSavedId(null)
+    setSession(nextSession)
+  }
+
+  function handleWorkspaceChange(nextWorkspaceId) {
+    writeStoredWorkspaceId(nextWorkspaceId)
+    setWorkspaceId(nextWorkspaceId)
+    setSelectedSavedId(null)
+    setSavedSyncStatus('syncing')
+  }
 
   // Function to create a fresh blank custom scenario
   const createBlankCustomScenario = () => ({
@@ -104,6 +367,8 @@ function App() {
     name: 'Custom what-if plan',
     hires: [],
     projectionMonths: 12,
+    // New plans start this month so the timeline shows real dates
+    startDate: new Date().toISOString().slice(0, 7),
     startingCash: seedStageScenario.startingCash,
     employeeCostMultiplier: seedStageScenario.employeeCostMultiplier,
     nonHeadcountCosts: [
@@ -119,14 +384,17 @@ function App() {
   
   const [customScenario, setCustomScenario] = useState(() => {
     // Check URL first for shared scenario
-    const urlScenario = loadScenarioFromURL()
-    if (urlScenario) {
-      return urlScenario
+    const urlLoad = loadScenarioFromURL()
+    if (urlLoad && urlLoad.scenario) {
+      return urlLoad.scenario
     }
     const scenario = createBlankCustomScenario()
     return scenario
   })
 
+  // Hire currently open in the details editor below the timeline
+  const [editingHireId, setEditingHireId] = useState(null)
+
   // State for projection months (for custom scenarios)
   const [projectionMonths, setProjectionMonths] = useState(() => {
     // Use projectionMonths from customScenario (which may have been loaded from URL)
@@ -135,15 +403,94 @@ function App() {
 
   // Track if we loaded from URL (state so it can be cleared)
   const [loadedFromURL, setLoadedFromURL] = useState(() => {
-    return loadScenarioFromURL() !== null
+    return Boolean(loadScenarioFromURL()?.scenario)
   })
+
+  // Slug of a short /s/:slug link, whose scenario is fetched from the server after mount
+  const [loadingShareSlug, setLoadingShareSlug] = useState(() => readShareSlug())
+
+  useEffect(() => {
+    if (!loadingShareSlug) return
+    let cancelled = false
+
+    fetchShare(loadingShareSlug, readShareToken())
+      .then((raw) => {
+        if (cancelled) return
+        const { scenario, errors } = loadScenario(raw)
+        if (scenario) {
+          setCustomScenario(scenario)
+          setProjectionMonths(scenario.projectionMonths || 12)
+          setSelectedView('custom')
+          setLoadedFromURL(true)
+        } else {
+          setUrlLoadErrors(errors)
+        }
+      })
+      .catch((error) => {
+        console.error('Failed to load shared scenario:', error)
+        if (cancelled) return
+        const messages = {
+          401: 'is protected; ask for the full link, including the part after #',
+          403: 'has an access token that is not valid',
+          404: 'does not point to a shared scenario',
+          410: 'has expired; ask for a new link',
+        }
+        setUrlLoadErrors([
+          { path: 'link', message: messages[error.status] || 'could not be opened because the server is unreachable' },
+        ])
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingShareSlug(null)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [loadingShareSlug])
   
   // State for Warp savings modal
   const [showWarpModal, setShowWarpModal] = useState(false)
 
+  // Days until a protected share link expires; 0 shares an open link
+  const [shareExpiryDays, setShareExpiryDays] = useState(0)
+
+  // Redaction mode hides individual salaries by grouping hires: null, 'role' or 'department'
+  const [redactionGroupBy, setRedactionGroupBy] = useState(null)
+
+  // Runway planner proposal being previewed, along with the scenario it was built from
+  const [runwayPreview, setRunwayPreview] = useState(null)
+
+  // Location tier applied to roles dropped onto the timeline
+  const [hiringLocation, setHiringLocation] = useState(DEFAULT_LOCATION_ID)
+
+  // Role being dragged from the palette and the month it is hovering over
+  const [draggingRoleId, setDraggingRoleId] = useState(null)
+  const [dragOverMonth, setDragOverMonth] = useState(null)
+
+  // Floor the start-month hint keeps while dragging: months of runway or a cash balance
+  const [hireFloor, setHireFloor] = useState({ type: 'runway', value: 12 })
+
+  // Start months that keep the floor for the dragged role. Only worked out once
+  // the role is over the month grid, as it re-runs the engine for every month.
+  const isDraggingOverGrid = dragOverMonth != null
+  const hireStartWindow = useMemo(() => {
+    const role = availableRoles.find((r) => r.id === draggingRoleId)
+    if (!role || !isDraggingOverGrid) return null
+    const hire = {
+      id: 'goal_seek_hire',
+      roleId: role.id,
+      title: role.title,
+      annualSalary: roleSalaryIn(role, hiringLocation),
+      location: hiringLocation,
+    }
+    const floor = hireFloor.type === 'runway' ? { minRunwayMonths: hireFloor.value } : { minCash: hireFloor.value }
+    return { role, ...findHireStartWindow(customScenario, hire, floor) }
+  }, [customScenario, draggingRoleId, isDraggingOverGrid, hiringLocation, hireFloor])
+
   // Helper to handle view changes and clear URL indicator if needed
   const handleViewChange = (newView) => {
     setSelectedView(newView)
+    setRunwayPreview(null)
     // Clear the "loaded from URL" indicator when user manually switches views
     if (loadedFromURL) {
       setLoadedFromURL(false)
@@ -152,33 +499,77 @@ function App() {
 
   // For viral mode, always use customScenario so it can be modified
   // For utility mode, use the selected view scenario
-  let currentScenario = seedStageScenario
+  let viewedScenario = seedStageScenario
   if (mode === 'viral') {
-    currentScenario = customScenario
+    viewedScenario = customScenario
   } else if (selectedView === 'aggressive') {
-    currentScenario = aggressiveHiringScenario
+    viewedScenario = aggressiveHiringScenario
   } else if (selectedView === 'conservative') {
-    currentScenario = conservativeScenario
+    viewedScenario = conservativeScenario
   } else if (selectedView === 'custom') {
-    currentScenario = customScenario
+    viewedScenario = customScenario
   } else if (selectedView === 'saved') {
     const found = savedScenarios.find((s) => s.id === selectedSavedId)
-    currentScenario = found || seedStageScenario
+    viewedScenario = found || seedStageScenario
+  }
+
+  // A previewed runway plan stands in for the scenario it was built from,
+  // and is dropped as soon as that scenario changes
+  const baseScenario = viewedScenario
+  const isPreviewingRunwayPlan =
+    mode !== 'viral' && runwayPreview !== null && runwayPreview.baseScenario === baseScenario
+  if (isPreviewingRunwayPlan) {
+    viewedScenario = runwayPreview.proposal.scenario
   }
 
+  // In redaction mode the table, charts, PDF and share links all get hires
+  // aggregated into buckets instead of individual salaries
+  const redactedScenario = useMemo(
+    () =>
+      mode !== 'viral' && redactionGroupBy ? redactScenario(viewedScenario, { groupBy: redactionGroupBy }) : null,
+    [mode, viewedScenario, redactionGroupBy],
+  )
+  const currentScenario = redactedScenario || viewedScenario
+
   // Run the engine once for the currently selected scenario
   const burnResult = runBurnRate(currentScenario)
   const runway = estimateRunway(burnResult)
 
+  const customRevenueStream = (customScenario.revenueStreams || []).find(
+    (stream) => stream.id === 'custom_revenue',
+  )
+
+  const editingHire = customScenario.hires.find((hire) => hire.id === editingHireId)
+
+  // Dated plans show calendar months and fiscal quarters instead of month numbers
+  const isDated = burnResult.monthly.length > 0 && burnResult.monthly[0].isoMonth != null
+
+  const hasHiringCosts = burnResult.summary.totalHiringCost > 0
+  const hasCommissions = burnResult.summary.totalCommissionCost > 0
+  const hasExitCosts = burnResult.summary.totalExitCost > 0
+  const hasInterest = burnResult.summary.totalInterestCost > 0
+
+  const hasFinancing = (currentScenario.financingEvents || []).length > 0
+
+  // Only show revenue columns for scenarios that actually model revenue
+  const hasRevenue = (currentScenario.revenueStreams || []).length > 0
+
   // Use dynamic months based on current scenario
   const months = Array.from({ length: currentScenario.projectionMonths }, (_, i) => i)
 
   function handleRoleDragStart(roleId, event) {
     event.dataTransfer.setData('text/plain', roleId)
+    setDraggingRoleId(roleId)
+  }
+
+  function handleRoleDragEnd() {
+    setDraggingRoleId(null)
+    setDragOverMonth(null)
   }
 
-  function handleMonthDragOver(event) {
+  function handleMonthDragOver(monthIndex, event) {
     event.preventDefault()
+    if (monthIndex !== dragOverMonth) setDragOverMonth(monthIndex)
   }
 
   // Helper function to check if scenario results in negative cash and show popup
@@ -199,23 +590,29 @@ function App() {
     }
   }
 
+  // New hire for a role from the palette, paid at the selected location
+  function buildHireFromRole(role, startMonth) {
+    return {
+      id: makeLocalId(role.id),
+      roleId: role.id,
+      title: role.title,
+      annualSalary: roleSalaryIn(role, hiringLocation),
+      location: hiringLocation,
+      startMonth,
+    }
+  }
+
   function handleMonthDrop(monthIndex, event) {
     event.preventDefault()
+    setDraggingRoleId(null)
+    setDragOverMonth(null)
     const roleId = event.dataTransfer.getData('text/plain')
     const role = availableRoles.find((r) => r.id === roleId)
     if (!role) return
 
     const updatedScenario = {
       ...customScenario,
-      hires: [
-        ...customScenario.hires,
-        {
-          id: makeLocalId(role.id),
-          title: role.title,
-          annualSalary: role.annualSalary,
-          startMonth: monthIndex,
-        },
-      ],
+      hires: [...customScenario.hires, buildHireFromRole(role, monthIndex)],
     }
 
     // Check if this hire causes negative cash
@@ -256,6 +653,39 @@ function App() {
     setCustomScenario(updatedScenario)
   }
 
+  // The custom plan models a single revenue stream; editing either field
+  // creates it on first use and removes it again when MRR is cleared
+  function handleCustomRevenueChange(field, event) {
+    const raw = event.target.value.replace(/,/g, '')
+    const value = Number(raw) || 0
+    const existing = (customScenario.revenueStreams || []).find(
+      (stream) => stream.id === 'custom_revenue',
+    ) || {
+      id: 'custom_revenue',
+      label: 'Recurring revenue',
+      startingMrr: 0,
+      monthlyGrowthRate: 0,
+      startMonth: 0,
+    }
+    const updatedStream = {
+      ...existing,
+      [field]: field === 'monthlyGrowthRate' ? value / 100 : value,
+    }
+    const otherStreams = (customScenario.revenueStreams || []).filter(
+      (stream) => stream.id !== 'custom_revenue',
+    )
+    const updatedScenario = {
+      ...customScenario,
+      revenueStreams: updatedStream.startingMrr > 0
+        ? [...otherStreams, updatedStream]
+        : otherStreams,
+    }
+
+    checkAndShowWarpPopup(updatedScenario)
+
+    setCustomScenario(updatedScenario)
+  }
+
   function handleEmployeeCostMultiplierChange(event) {
     const value = Number(event.target.value) || 1.3
     const updatedScenario = {
@@ -286,37 +716,79 @@ function App() {
     setCustomScenario(updatedScenario)
   }
 
-  // Generate shareable link for current scenario (works with any scenario type)
-  function generateShareableLink(scenario) {
-    // Create a clean scenario object (remove internal IDs that might cause issues)
-    const shareableScenario = {
+  // Create a clean scenario object for sharing (remove internal IDs that might cause issues)
+  function toShareableScenario(scenario) {
+    return {
       ...scenario,
       id: 'shared', // Override ID
       name: scenario.name || 'Shared Scenario',
     }
-    
-    // Encode scenario as JSON and add to URL
-    const scenarioJson = JSON.stringify(shareableScenario)
-    const encoded = encodeURIComponent(scenarioJson)
-    const shareUrl = `${window.location.origin}${window.location.pathname}?scenario=${encoded}`
-    
-    return shareUrl
   }
 
-  function handleShareScenario() {
+  // Generate shareable link for current scenario (works with any scenario type).
+  // Short /s/:slug link when the server is up, otherwise the scenario goes in the URL.
+  function generateShareableLink(scenario) {
+    return createShareLink(toShareableScenario(scenario))
+  }
+
+  // A redacted plan with a single hire still shows that person's cost
+  function confirmRedactionExposure() {
+    return (
+      !currentScenario.redaction?.exposesIndividuals ||
+      window.confirm(
+        "Some months' totals come from a single person, such as the only hire starting that month, so redaction can't hide their pay. Continue anyway?",
+      )
+    )
+  }
+
+  async function handleShareScenario() {
+    if (!confirmRedactionExposure()) return
     // Use currentScenario (the one currently displayed) instead of customScenario
-    const shareUrl = generateShareableLink(currentScenario)
+    let shareUrl
+    let copiedMessage = 'Shareable link copied to clipboard! Share this URL with others.'
+    if (shareExpiryDays > 0) {
+      // Protected links need the server, so don't fall back to a long open link
+      try {
+        const protectedLink = await createProtectedShareLink(toShareableScenario(currentScenario), shareExpiryDays)
+        shareUrl = protectedLink.url
+        copiedMessage = `Protected link copied to clipboard! It opens until ${new Date(protectedLink.expiresAt).toLocaleDateString()}.`
+      } catch (error) {
+        console.error('Failed to create protected share link:', error)
+        alert(`Could not create a protected link: ${error.message}`)
+        return
+      }
+    } else {
+      shareUrl = await generateShareableLink(currentScenario)
+    }
     
     // Copy to clipboard
     navigator.clipboard.writeText(shareUrl).then(() => {
-      alert('Shareable link copied to clipboard! Share this URL with others.')
+      alert(copiedMessage)
     }).catch(() => {
       // Fallback: show in prompt if clipboard API fails
       window.prompt('Copy this link to share your scenario:', shareUrl)
     })
   }
 
+  // Uploads a saved scenario to the current workspace. Until the server has
+  // it, it stays pending and is uploaded again on the next sync.
+  function pushSavedScenario(scenario) {
+    if (!savedScope) return
+    const scope = savedScope
+    addPendingId(PENDING_UPLOADS_KEY, scope, scenario.id)
+    putSavedScenario(scope, scenario)
+      .then(() => removePendingId(PENDING_UPLOADS_KEY, scope, scenario.id))
+      .catch((error) => {
+        console.error('Failed to save scenario to the server:', error)
+        setSavedSyncStatus('offline')
+      })
+  }
+
   function handleSaveCurrentScenario() {
+    if (!canEditSaved) {
+      window.alert(`You can view scenarios in ${activeWorkspace.name} but not save them. Ask an owner for editor access.`)
+      return
+    }
     const nameInput = window.prompt(
       'Name for this scenario (e.g. With senior exec)',
     )
@@ -334,6 +806,7 @@ function App() {
     }
 
     setSavedScenarios((prev) => [...prev, snapshot])
+    pushSavedScenario(snapshot)
     handleViewChange('saved')
     setSelectedSavedId(id)
     // Reset to blank slate after saving
@@ -344,6 +817,8 @@ function App() {
       amount: '',
       isOneTime: false,
       month: 0,
+      startDate: '',
+      endDate: '',
     })
   }
 
@@ -355,7 +830,7 @@ function App() {
         ...prev,
         aiInsights: insights,
       }))
-    } else if (selectedView === 'saved' && selectedSavedId) {
+    } else if (selectedView === 'saved' && selectedSavedId && canEditSaved) {
       // Update saved scenario in the savedScenarios array
       setSavedScenarios((prev) =>
         prev.map((s) =>
@@ -364,6 +839,8 @@ function App() {
             : s
         )
       )
+      const saved = savedScenarios.find((s) => s.id === selectedSavedId)
+      if (saved) pushSavedScenario({ ...saved, aiInsights: insights })
     }
     // Note: seed, aggressive, and conservative scenarios are read-only
     // AI insights can be generated for them but won't persist
@@ -373,6 +850,16 @@ function App() {
     event.stopPropagation() // Prevent triggering the button's onClick
     if (window.confirm('Are you sure you want to delete this scenario?')) {
       setSavedScenarios((prev) => prev.filter((s) => s.id !== scenarioId))
+      if (savedScope) {
+        const scope = savedScope
+        removePendingId(PENDING_UPLOADS_KEY, scope, scenarioId)
+        deleteSavedScenario(scope, scenarioId).catch((error) => {
+          // Replayed on the next sync so the server copy doesn't come back
+          console.error('Failed to delete scenario on the server:', error)
+          addPendingId(PENDING_DELETES_KEY, scope, scenarioId)
+          setSavedSyncStatus('offline')
+        })
+      }
       // If the deleted scenario was selected, switch back to seed view
       if (selectedView === 'saved' && selectedSavedId === scenarioId) {
         handleViewChange('seed')
@@ -386,6 +873,60 @@ function App() {
       ...prev,
       hires: prev.hires.filter((hire) => hire.id !== hireId),
     }))
+    if (editingHireId === hireId) {
+      setEditingHireId(null)
+    }
+  }
+
+  function handleUpdateHire(updatedHire) {
+    const updatedScenario = {
+      ...customScenario,
+      hires: customScenario.hires.map((hire) =>
+        hire.id === updatedHire.id ? updatedHire : hire,
+      ),
+    }
+
+    checkAndShowWarpPopup(updatedScenario)
+
+    setCustomScenario(updatedScenario)
+  }
+
+  function handleStartDateChange(event) {
+    const value = event.target.value
+    // Dated hires and costs keep their dates, so their month indices move
+    const updatedScenario = rebaseDatedItems({
+      ...customScenario,
+      startDate: value || undefined,
+    })
+
+    const endedBeforeStart = [...updatedScenario.hires, ...updatedScenario.nonHeadcountCosts].filter(
+      (item) => item.endDate && item.endMonth < 0,
+    )
+    if (endedBeforeStart.length > 0) {
+      const names = endedBeforeStart.map((item) => item.title || item.label).join(', ')
+      alert(`These end before the new start date, so remove them or change their dates first: ${names}`)
+      return
+    }
+
+    checkAndShowWarpPopup(updatedScenario)
+
+    setCustomScenario(updatedScenario)
+  }
+
+  function handleFiscalYearStartChange(event) {
+    const value = Number(event.target.value)
+    setCustomScenario((prev) => ({
+      ...prev,
+      fiscalYearStartMonth: value || undefined,
+    }))
+  }
+
+  function handleRaiseCycleMonthChange(event) {
+    const value = event.target.value
+    setCustomScenario((prev) => ({
+      ...prev,
+      raiseCycleMonth: value === '' ? undefined : Number(value),
+    }))
   }
 
   // State for custom expense form
@@ -394,6 +935,8 @@ function App() {
     amount: '',
     isOneTime: false,
     month: 0,
+    startDate: '',
+    endDate: '',
   })
 
   function handleAddCustomExpense() {
@@ -411,6 +954,26 @@ function App() {
       isOneTime: customExpenseForm.isOneTime,
     }
 
+    // Day-level dates take over from the month picker, and are prorated like hire dates
+    const { startDate, endDate } = customExpenseForm
+    if (customScenario.startDate && startDate) {
+      const startMonth = monthIndexForDate(customScenario, startDate)
+      if (startMonth < 0 || startMonth >= customScenario.projectionMonths) {
+        alert('Start date must fall within the planning period')
+        return
+      }
+      newExpense.startDate = startDate
+      newExpense.startMonth = startMonth
+    }
+    if (customScenario.startDate && endDate && !customExpenseForm.isOneTime) {
+      if (endDate < (newExpense.startDate || `${customScenario.startDate.slice(0, 7)}-01`)) {
+        alert('End date must be after the start date')
+        return
+      }
+      newExpense.endDate = endDate
+      newExpense.endMonth = monthIndexForDate(customScenario, endDate)
+    }
+
     // Create updated scenario to check cash remaining
     const updatedScenario = {
       ...customScenario,
@@ -428,6 +991,8 @@ function App() {
       amount: '',
       isOneTime: false,
       month: 0,
+      startDate: '',
+      endDate: '',
     })
   }
 
@@ -438,6 +1003,135 @@ function App() {
     }))
   }
 
+  // State for fundraising form
+  const [fundingForm, setFundingForm] = useState({
+    type: 'equity',
+    amount: '',
+    month: 0,
+    committed: false,
+    interestRate: '',
+  })
+
+  function handleAddFundingEvent() {
+    const amount = Number(fundingForm.amount) || 0
+    if (amount <= 0) {
+      alert('Please enter a valid amount to raise')
+      return
+    }
+
+    const financingType = financingTypes.find((t) => t.id === fundingForm.type)
+    const newEvent = {
+      id: makeLocalId('funding'),
+      label: financingType ? financingType.label : 'Funding',
+      type: fundingForm.type,
+      amount,
+      month: fundingForm.month,
+      committed: fundingForm.committed,
+    }
+    // Debt costs interest; the form takes it as a yearly percentage
+    const interestRate = Number(fundingForm.interestRate) || 0
+    if (fundingForm.type === 'debt' && interestRate > 0) {
+      newEvent.annualInterestRate = interestRate / 100
+    }
+
+    const updatedScenario = {
+      ...customScenario,
+      financingEvents: [...(customScenario.financingEvents || []), newEvent],
+    }
+
+    checkAndShowWarpPopup(updatedScenario)
+
+    setCustomScenario(updatedScenario)
+
+    setFundingForm({
+      type: 'equity',
+      amount: '',
+      month: 0,
+      committed: false,
+      interestRate: '',
+    })
+  }
+
+  // State for layoff form
+  const [layoffForm, setLayoffForm] = useState({
+    percent: 20,
+    month: 0,
+    severanceWeeks: 4,
+    accruedPtoDays: 5,
+  })
+
+  // Lay off a share of the people employed in the chosen month, last in first
+  // out. Founders are never included; they leave by editing the hire directly.
+  function handlePlanLayoff() {
+    const month = layoffForm.month
+    const employed = customScenario.hires.filter(
+      (hire) => hire.startMonth <= month && (hire.endMonth == null || hire.endMonth >= month),
+    )
+    const cutCount = Math.round((employed.length * layoffForm.percent) / 100)
+    const candidates = employed
+      .filter((hire) => !isFounder(hire) && !hire.departure)
+      .sort((a, b) => b.startMonth - a.startMonth)
+      .slice(0, cutCount)
+
+    if (candidates.length === 0) {
+      alert('No one to lay off in that month')
+      return
+    }
+
+    const laidOffIds = new Set(candidates.map((hire) => hire.id))
+    const updatedScenario = {
+      ...customScenario,
+      hires: customScenario.hires.map((hire) =>
+        laidOffIds.has(hire.id)
+          ? {
+              ...hire,
+              endMonth: month,
+              endDate: undefined,
+              departure: {
+                type: 'layoff',
+                severanceWeeks: layoffForm.severanceWeeks,
+                accruedPtoDays: layoffForm.accruedPtoDays,
+              },
+            }
+          : hire,
+      ),
+    }
+
+    checkAndShowWarpPopup(updatedScenario)
+
+    setCustomScenario(updatedScenario)
+  }
+
+  // Keep a runway planner proposal. Presets and saved plans are copied into the
+  // custom plan so the change can be edited further.
+  function handleApplyRunwayPlan(proposal) {
+    const plannedScenario =
+      selectedView === 'custom'
+        ? proposal.scenario
+        : {
+            ...proposal.scenario,
+            id: 'scenario_custom',
+            name: `${proposal.scenario.name} (extended runway)`,
+            aiInsights: null,
+          }
+
+    setCustomScenario(plannedScenario)
+    setProjectionMonths(plannedScenario.projectionMonths)
+    handleViewChange('custom')
+  }
+
+  function handleDeleteFundingEvent(eventId) {
+    const updatedScenario = {
+      ...customScenario,
+      financingEvents: (customScenario.financingEvents || []).filter((event) => event.id !== eventId),
+    }
+
+    // Losing a round can pull the cash-out date forward
+    checkAndShowWarpPopup(updatedScenario)
+
+    setCustomScenario(updatedScenario)
+  }
+
   // Refs for PDF export
   const summaryRef = useRef(null)
   const summaryContentRef = useRef(null) // Summary without buttons
@@ -445,6 +1139,7 @@ function App() {
   const chartRef = useRef(null)
   const rolePieChartRef = useRef(null)
   const categoryPieChartRef = useRef(null)
+  const tornadoChartRef = useRef(null)
   const aiInsightsRef = useRef(null)
   const optionPoolRef = useRef(null)
   
@@ -452,6 +1147,7 @@ function App() {
   const [includeOptionPoolInPDF, setIncludeOptionPoolInPDF] = useState(false)
 
   async function handleExportToPDF() {
+    if (!confirmRedactionExposure()) return
     try {
       const pdf = new jsPDF('p', 'mm', 'a4')
       const pageWidth = pdf.internal.pageSize.getWidth()
@@ -472,6 +1168,21 @@ function App() {
       pdf.text(currentScenario.name, pageWidth / 2, yPosition, { align: 'center' })
       yPosition += 1 // Reduced space between title and summary
 
+      // Dated plans get the period they cover under the title
+      if (isDated) {
+        const firstMonth = burnResult.monthly[0]
+        const lastMonth = burnResult.monthly[burnResult.monthly.length - 1]
+        yPosition += 5
+        pdf.setFontSize(10)
+        pdf.text(
+          `${firstMonth.label} - ${lastMonth.label} (${firstMonth.fiscalLabel} - ${lastMonth.fiscalLabel})`,
+          pageWidth / 2,
+          yPosition,
+          { align: 'center' },
+        )
+        yPosition += 1
+      }
+
       // Capture and add summary (without buttons)
       if (summaryContentRef.current) {
         const summaryCanvas = await html2canvas(summaryContentRef.current, {
@@ -638,6 +1349,21 @@ function App() {
         yPosition += imgHeight + 5
       }
 
+      // Capture and add the sensitivity tornado chart
+      if (tornadoChartRef.current) {
+        const tornadoCanvas = await html2canvas(tornadoChartRef.current, {
+          backgroundColor: '#ffffff',
+          scale: 2,
+        })
+        const tornadoImg = tornadoCanvas.toDataURL('image/png')
+        const imgWidth = pageWidth - 2 * margin
+        const imgHeight = (tornadoCanvas.height * imgWidth) / tornadoCanvas.width
+
+        checkNewPage(imgHeight)
+        pdf.addImage(tornadoImg, 'PNG', margin, yPosition, imgWidth, imgHeight)
+        yPosition += imgHeight + 5
+      }
+
       // Capture and add option pool section if toggle is enabled
       if (includeOptionPoolInPDF && optionPoolRef.current) {
         const optionPoolCanvas = await html2canvas(optionPoolRef.current, {
@@ -820,6 +1546,12 @@ function App() {
             <span style={{ color: '#000000', backgroundColor: '#ffffff', padding: '0 0.1em' }}>u</span>
           </div>
         </div>
+        <WorkspacePanel
+          session={session}
+          activeWorkspace={activeWorkspace}
+          onSessionChange={handleSessionChange}
+          onWorkspaceChange={handleWorkspaceChange}
+        />
         <h2 style={{ marginBottom: '1rem', fontSize: '1.1rem', fontWeight: 600 }}>
           Scenarios
         </h2>
@@ -835,6 +1567,8 @@ function App() {
               amount: '',
               isOneTime: false,
               month: 0,
+              startDate: '',
+              endDate: '',
             })
             // Clear any AI insights state when creating new plan
             setSelectedSavedId(null)
@@ -923,29 +1657,63 @@ function App() {
             fontWeight: selectedView === 'conservative' ? 600 : 400,
             cursor: 'pointer',
             fontSize: '0.9rem',
-            marginBottom: '0.8rem',
+            marginBottom: '0.3rem',
           }}
         >
           Conservative plan
         </button>
-        {savedScenarios.length > 0 && (
-          <>
-            <hr
-              style={{
-                border: 'none',
-                borderTop: '1px solid #333',
-                margin: '1rem 0 0.5rem',
-              }}
-            />
-            <h3
-              style={{
+        <button
+          onClick={() => handleViewChange('compare')}
+          style={{
+            width: '100%',
+            textAlign: 'left',
+            padding: '0.6rem 0.8rem',
+            borderRadius: '6px',
+            border: 'none',
+            backgroundColor: selectedView === 'compare' ? '#333' : 'transparent',
+            color: '#fff',
+            fontWeight: selectedView === 'compare' ? 600 : 400,
+            cursor: 'pointer',
+            fontSize: '0.9rem',
+            marginBottom: '0.8rem',
+          }}
+        >
+          Compare scenarios
+        </button>
+        {savedScenarios.length > 0 && (
+          <>
+            <hr
+              style={{
+                border: 'none',
+                borderTop: '1px solid #333',
+                margin: '1rem 0 0.5rem',
+              }}
+            />
+            <h3
+              style={{
                 fontSize: '0.85rem',
                 fontWeight: 500,
                 margin: '0 0 0.5rem',
                 color: '#ccc',
               }}
             >
-              Saved Scenarios
+              {activeWorkspace && savedScope === activeWorkspace.id ? activeWorkspace.name : 'Saved Scenarios'}
+              {savedSyncStatus === 'local' && (
+                <span
+                  style={{ marginLeft: '0.4rem', fontSize: '0.7rem', color: '#999' }}
+                  title="Sign in to share saved scenarios with your workspace"
+                >
+                  (this browser only)
+                </span>
+              )}
+              {savedSyncStatus === 'offline' && (
+                <span
+                  style={{ marginLeft: '0.4rem', fontSize: '0.7rem', color: '#f59e0b' }}
+                  title="Saved in this browser only; will sync when the server is reachable"
+                >
+                  (offline)
+                </span>
+              )}
             </h3>
             {savedScenarios.map((scenario) => (
               <button
@@ -978,33 +1746,35 @@ function App() {
                 }}
               >
                 <span style={{ flex: 1 }}>{scenario.name}</span>
-                <button
-                  onClick={(e) => handleDeleteSavedScenario(scenario.id, e)}
-                  style={{
-                    background: 'none',
-                    border: 'none',
-                    color: '#999',
-                    cursor: 'pointer',
-                    fontSize: '0.9rem',
-                    padding: '0.2rem 0.4rem',
-                    borderRadius: '4px',
-                    display: 'flex',
-                    alignItems: 'center',
-                    justifyContent: 'center',
-                    lineHeight: 1,
-                  }}
-                  onMouseEnter={(e) => {
-                    e.target.style.backgroundColor = '#444'
-                    e.target.style.color = '#fff'
-                  }}
-                  onMouseLeave={(e) => {
-                    e.target.style.backgroundColor = 'transparent'
-                    e.target.style.color = '#999'
-                  }}
-                  title="Delete this scenario"
-                >
-                  Delete
-                </button>
+                {canEditSaved && (
+                  <button
+                    onClick={(e) => handleDeleteSavedScenario(scenario.id, e)}
+                    style={{
+                      background: 'none',
+                      border: 'none',
+                      color: '#999',
+                      cursor: 'pointer',
+                      fontSize: '0.9rem',
+                      padding: '0.2rem 0.4rem',
+                      borderRadius: '4px',
+                      display: 'flex',
+                      alignItems: 'center',
+                      justifyContent: 'center',
+                      lineHeight: 1,
+                    }}
+                    onMouseEnter={(e) => {
+                      e.target.style.backgroundColor = '#444'
+                      e.target.style.color = '#fff'
+                    }}
+                    onMouseLeave={(e) => {
+                      e.target.style.backgroundColor = 'transparent'
+                      e.target.style.color = '#999'
+                    }}
+                    title="Delete this scenario"
+                  >
+                    Delete
+                  </button>
+                )}
               </button>
             ))}
           </>
@@ -1198,6 +1968,41 @@ function App() {
           </a>
         </div>
 
+        <ScenarioLoadErrors
+          problems={[
+            ...(urlLoadErrors
+              ? [
+                  {
+                    key: 'url',
+                    title: 'This shared link could not be opened, so a blank plan is shown instead',
+                    errors: urlLoadErrors,
+                    actionLabel: 'Dismiss',
+                  },
+                ]
+              : []),
+            ...unreadableSavedScenarios.map(({ raw, errors }, index) => ({
+              key: `saved_${index}`,
+              title: `Saved scenario "${raw?.name || 'Untitled'}" could not be loaded`,
+              errors,
+              actionLabel: 'Discard',
+            })),
+          ]}
+          onDismiss={(key) => {
+            if (key === 'url') {
+              setUrlLoadErrors(null)
+            } else {
+              const index = Number(key.replace('saved_', ''))
+              const problem = unreadableSavedScenarios[index]
+              if (problem?.fromServer && problem.raw?.id && savedScope && canEditSaved) {
+                deleteSavedScenario(savedScope, problem.raw.id).catch((error) =>
+                  console.error('Failed to delete scenario on the server:', error),
+                )
+              }
+              setUnreadableSavedScenarios((prev) => prev.filter((_, i) => i !== index))
+            }
+          }}
+        />
+
         {/* Conditional Rendering: Utility vs Viral Mode */}
         {mode === 'viral' ? (
           <ViralDashboard
@@ -1213,6 +2018,16 @@ function App() {
             }}
             onGenerateAI={getAISuggestions}
           />
+        ) : selectedView === 'compare' ? (
+          <ScenarioComparison
+            scenarios={[
+              seedStageScenario,
+              aggressiveHiringScenario,
+              conservativeScenario,
+              customScenario,
+              ...savedScenarios,
+            ]}
+          />
         ) : (
           <>
         {selectedView === 'custom' && (
@@ -1377,7 +2192,7 @@ function App() {
                     }}
                   />
                   <div style={{ fontSize: '0.75rem', color: '#047857', marginTop: '0.2rem', textAlign: 'center' }}>
-                    Multiplies base salary to account for benefits, taxes, and overhead
+                    Multiplies base salary to account for benefits, taxes, and overhead. Hires with an employer cost country use that country's rates instead.
                   </div>
                 </div>
                 <div style={{ marginBottom: '0.75rem', fontSize: '0.85rem' }}>
@@ -1433,6 +2248,58 @@ function App() {
                       }}
                     />
                   </div>
+                  <div style={{ marginBottom: '0.4rem' }}>
+                    <label
+                      style={{
+                        display: 'block',
+                        marginBottom: '0.2rem',
+                        fontWeight: 600,
+                      }}
+                    >
+                      Starting MRR
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={customRevenueStream ? customRevenueStream.startingMrr : 0}
+                      onChange={(e) => handleCustomRevenueChange('startingMrr', e)}
+                      style={{
+                        width: '80%',
+                        padding: '0.3rem 0.4rem',
+                        borderRadius: '4px',
+                        border: '1px solid #ccc',
+                        fontSize: '0.85rem',
+                        textAlign: 'center',
+                      }}
+                    />
+                  </div>
+                  {customRevenueStream && (
+                    <div style={{ marginBottom: '0.4rem' }}>
+                      <label
+                        style={{
+                          display: 'block',
+                          marginBottom: '0.2rem',
+                          fontWeight: 600,
+                        }}
+                      >
+                        MRR growth (% / month)
+                      </label>
+                      <input
+                        type="number"
+                        step="0.5"
+                        value={Math.round(customRevenueStream.monthlyGrowthRate * 1000) / 10}
+                        onChange={(e) => handleCustomRevenueChange('monthlyGrowthRate', e)}
+                        style={{
+                          width: '80%',
+                          padding: '0.3rem 0.4rem',
+                          borderRadius: '4px',
+                          border: '1px solid #ccc',
+                          fontSize: '0.85rem',
+                          textAlign: 'center',
+                        }}
+                      />
+                    </div>
+                  )}
                   <div>
                     <label
                       style={{
@@ -1462,6 +2329,92 @@ function App() {
                       {projectionMonths} months ({Math.round(projectionMonths / 12 * 10) / 10} years)
                     </div>
                   </div>
+                  <div style={{ marginTop: '0.4rem' }}>
+                    <label
+                      style={{
+                        display: 'block',
+                        marginBottom: '0.2rem',
+                        fontWeight: 600,
+                      }}
+                    >
+                      Plan start month
+                    </label>
+                    <input
+                      type="month"
+                      value={customScenario.startDate ? customScenario.startDate.slice(0, 7) : ''}
+                      onChange={handleStartDateChange}
+                      style={{
+                        width: '80%',
+                        padding: '0.3rem 0.4rem',
+                        borderRadius: '4px',
+                        border: '1px solid #ccc',
+                        fontSize: '0.85rem',
+                        textAlign: 'center',
+                      }}
+                    />
+                    <div style={{ fontSize: '0.75rem', color: '#666', marginTop: '0.2rem' }}>
+                      Payroll tax wage bases reset each January
+                    </div>
+                  </div>
+                  <div style={{ marginTop: '0.4rem' }}>
+                    <label
+                      style={{
+                        display: 'block',
+                        marginBottom: '0.2rem',
+                        fontWeight: 600,
+                      }}
+                    >
+                      Raise cycle
+                    </label>
+                    <select
+                      value={customScenario.raiseCycleMonth ?? ''}
+                      onChange={handleRaiseCycleMonthChange}
+                      style={{
+                        width: '80%',
+                        padding: '0.3rem 0.4rem',
+                        borderRadius: '4px',
+                        border: '1px solid #ccc',
+                        fontSize: '0.85rem',
+                      }}
+                    >
+                      <option value="">Each hire's anniversary</option>
+                      {MONTH_NAMES.map((name, m) => (
+                        <option key={m} value={m}>
+                          {customScenario.startDate ? `Every ${name}` : `Month ${m + 1} of each year`}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  {customScenario.startDate && (
+                    <div style={{ marginTop: '0.4rem' }}>
+                      <label
+                        style={{
+                          display: 'block',
+                          marginBottom: '0.2rem',
+                          fontWeight: 600,
+                        }}
+                      >
+                        Fiscal year starts
+                      </label>
+                      <select
+                        value={customScenario.fiscalYearStartMonth || 0}
+                        onChange={handleFiscalYearStartChange}
+                        style={{
+                          width: '80%',
+                          padding: '0.3rem 0.4rem',
+                          borderRadius: '4px',
+                          border: '1px solid #ccc',
+                          fontSize: '0.85rem',
+                        }}
+                      >
+                        {MONTH_NAMES.map((name, m) => (
+                          <option key={m} value={m}>
+                            {name}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
                 </div>
                 <hr
                   style={{
@@ -1555,10 +2508,50 @@ function App() {
                   >
                     {months.map((m) => (
                       <option key={m} value={m}>
-                        Month {m + 1}
+                        {describeMonth(customScenario, m).label}
                       </option>
                     ))}
                   </select>
+                  {customScenario.startDate && (
+                    <div style={{ display: 'flex', gap: '0.3rem', marginBottom: '0.3rem', fontSize: '0.75rem' }}>
+                      <label style={{ flex: 1 }}>
+                        From (optional)
+                        <input
+                          type="date"
+                          value={customExpenseForm.startDate}
+                          onChange={(e) =>
+                            setCustomExpenseForm((prev) => ({ ...prev, startDate: e.target.value }))
+                          }
+                          style={{
+                            width: '100%',
+                            padding: '0.3rem 0.2rem',
+                            borderRadius: '4px',
+                            border: '1px solid #ccc',
+                            fontSize: '0.75rem',
+                          }}
+                        />
+                      </label>
+                      {!customExpenseForm.isOneTime && (
+                        <label style={{ flex: 1 }}>
+                          Until (optional)
+                          <input
+                            type="date"
+                            value={customExpenseForm.endDate}
+                            onChange={(e) =>
+                              setCustomExpenseForm((prev) => ({ ...prev, endDate: e.target.value }))
+                            }
+                            style={{
+                              width: '100%',
+                              padding: '0.3rem 0.2rem',
+                              borderRadius: '4px',
+                              border: '1px solid #ccc',
+                              fontSize: '0.75rem',
+                            }}
+                          />
+                        </label>
+                      )}
+                    </div>
+                  )}
                   <button
                     onClick={handleAddCustomExpense}
                     style={{
@@ -1576,6 +2569,251 @@ function App() {
                     Add Expense
                   </button>
                 </div>
+                <hr
+                  style={{
+                    border: 'none',
+                    borderTop: '1px solid #ddd',
+                    margin: '0.75rem 0',
+                  }}
+                />
+                <h4 style={{ fontSize: '0.9rem', fontWeight: 600, marginBottom: '0.5rem' }}>
+                  Add Funding
+                </h4>
+                <div style={{ marginBottom: '0.5rem' }}>
+                  <select
+                    value={fundingForm.type}
+                    onChange={(e) =>
+                      setFundingForm((prev) => ({ ...prev, type: e.target.value }))
+                    }
+                    style={{
+                      width: '100%',
+                      padding: '0.3rem 0.4rem',
+                      borderRadius: '4px',
+                      border: '1px solid #ccc',
+                      fontSize: '0.8rem',
+                      marginBottom: '0.3rem',
+                    }}
+                  >
+                    {financingTypes.map((t) => (
+                      <option key={t.id} value={t.id}>
+                        {t.label}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    placeholder="Amount"
+                    value={fundingForm.amount}
+                    onChange={(e) =>
+                      setFundingForm((prev) => ({ ...prev, amount: e.target.value }))
+                    }
+                    style={{
+                      width: '100%',
+                      padding: '0.3rem 0.4rem',
+                      borderRadius: '4px',
+                      border: '1px solid #ccc',
+                      fontSize: '0.8rem',
+                      marginBottom: '0.3rem',
+                      textAlign: 'center',
+                    }}
+                  />
+                  {fundingForm.type === 'debt' && (
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.1"
+                      placeholder="Annual interest rate (%)"
+                      value={fundingForm.interestRate}
+                      onChange={(e) =>
+                        setFundingForm((prev) => ({ ...prev, interestRate: e.target.value }))
+                      }
+                      style={{
+                        width: '100%',
+                        padding: '0.3rem 0.4rem',
+                        borderRadius: '4px',
+                        border: '1px solid #ccc',
+                        fontSize: '0.8rem',
+                        marginBottom: '0.3rem',
+                        textAlign: 'center',
+                      }}
+                    />
+                  )}
+                  <select
+                    value={fundingForm.month}
+                    onChange={(e) =>
+                      setFundingForm((prev) => ({
+                        ...prev,
+                        month: Number(e.target.value),
+                      }))
+                    }
+                    style={{
+                      width: '100%',
+                      padding: '0.3rem 0.4rem',
+                      borderRadius: '4px',
+                      border: '1px solid #ccc',
+                      fontSize: '0.8rem',
+                      marginBottom: '0.3rem',
+                    }}
+                  >
+                    {months.map((m) => (
+                      <option key={m} value={m}>
+                        {describeMonth(customScenario, m).label}
+                      </option>
+                    ))}
+                  </select>
+                  <label
+                    style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '0.3rem',
+                      marginBottom: '0.3rem',
+                      fontSize: '0.75rem',
+                    }}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={fundingForm.committed}
+                      onChange={(e) =>
+                        setFundingForm((prev) => ({ ...prev, committed: e.target.checked }))
+                      }
+                    />
+                    Committed (term sheet signed)
+                  </label>
+                  <button
+                    onClick={handleAddFundingEvent}
+                    style={{
+                      width: '100%',
+                      padding: '0.4rem 0.5rem',
+                      borderRadius: '4px',
+                      border: '1px solid #10b981',
+                      backgroundColor: '#10b981',
+                      color: '#fff',
+                      fontSize: '0.8rem',
+                      fontWeight: 600,
+                      cursor: 'pointer',
+                    }}
+                  >
+                    Add Funding
+                  </button>
+                </div>
+                <hr
+                  style={{
+                    border: 'none',
+                    borderTop: '1px solid #ddd',
+                    margin: '0.75rem 0',
+                  }}
+                />
+                <h4 style={{ fontSize: '0.9rem', fontWeight: 600, marginBottom: '0.5rem' }}>
+                  Plan a Layoff
+                </h4>
+                <div style={{ marginBottom: '0.5rem', fontSize: '0.75rem' }}>
+                  <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.3rem' }}>
+                    <span>Cut % of team</span>
+                    <input
+                      type="number"
+                      min="1"
+                      max="100"
+                      value={layoffForm.percent}
+                      onChange={(e) =>
+                        setLayoffForm((prev) => ({
+                          ...prev,
+                          percent: Math.max(1, Math.min(100, Number(e.target.value) || 1)),
+                        }))
+                      }
+                      style={{
+                        width: '60px',
+                        padding: '0.3rem 0.4rem',
+                        borderRadius: '4px',
+                        border: '1px solid #ccc',
+                        fontSize: '0.8rem',
+                        textAlign: 'center',
+                      }}
+                    />
+                  </label>
+                  <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.3rem' }}>
+                    <span>Severance (weeks)</span>
+                    <input
+                      type="number"
+                      min="0"
+                      value={layoffForm.severanceWeeks}
+                      onChange={(e) =>
+                        setLayoffForm((prev) => ({
+                          ...prev,
+                          severanceWeeks: Math.max(0, Number(e.target.value) || 0),
+                        }))
+                      }
+                      style={{
+                        width: '60px',
+                        padding: '0.3rem 0.4rem',
+                        borderRadius: '4px',
+                        border: '1px solid #ccc',
+                        fontSize: '0.8rem',
+                        textAlign: 'center',
+                      }}
+                    />
+                  </label>
+                  <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.3rem' }}>
+                    <span>Accrued PTO (days)</span>
+                    <input
+                      type="number"
+                      min="0"
+                      value={layoffForm.accruedPtoDays}
+                      onChange={(e) =>
+                        setLayoffForm((prev) => ({
+                          ...prev,
+                          accruedPtoDays: Math.max(0, Number(e.target.value) || 0),
+                        }))
+                      }
+                      style={{
+                        width: '60px',
+                        padding: '0.3rem 0.4rem',
+                        borderRadius: '4px',
+                        border: '1px solid #ccc',
+                        fontSize: '0.8rem',
+                        textAlign: 'center',
+                      }}
+                    />
+                  </label>
+                  <select
+                    value={layoffForm.month}
+                    onChange={(e) =>
+                      setLayoffForm((prev) => ({
+                        ...prev,
+                        month: Number(e.target.value),
+                      }))
+                    }
+                    style={{
+                      width: '100%',
+                      padding: '0.3rem 0.4rem',
+                      borderRadius: '4px',
+                      border: '1px solid #ccc',
+                      fontSize: '0.8rem',
+                      marginBottom: '0.3rem',
+                    }}
+                  >
+                    {months.map((m) => (
+                      <option key={m} value={m}>
+                        Last day: end of {describeMonth(customScenario, m).label}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={handlePlanLayoff}
+                    style={{
+                      width: '100%',
+                      padding: '0.4rem 0.5rem',
+                      borderRadius: '4px',
+                      border: '1px solid #ef4444',
+                      backgroundColor: '#fff',
+                      color: '#ef4444',
+                      fontSize: '0.8rem',
+                      fontWeight: 600,
+                      cursor: 'pointer',
+                    }}
+                  >
+                    Apply Layoff
+                  </button>
+                </div>
               </div>
               <div
                 style={{
@@ -1586,9 +2824,80 @@ function App() {
                 }}
               >
                 <div style={{ marginBottom: '1rem' }}>
-                  <p style={{ fontSize: '0.85rem', color: '#555', marginBottom: '0.75rem', textAlign: 'center' }}>
+                  <p style={{ fontSize: '0.85rem', color: '#555', marginBottom: '0.5rem', textAlign: 'center' }}>
                     Drag and drop to add a new hire
                   </p>
+                  <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '0.5rem', marginBottom: '0.75rem', fontSize: '0.8rem' }}>
+                    <label htmlFor="hiring-location" style={{ fontWeight: 600 }}>Hiring in</label>
+                    <select
+                      id="hiring-location"
+                      value={hiringLocation}
+                      onChange={(e) => setHiringLocation(e.target.value)}
+                      style={{
+                        padding: '0.25rem 0.4rem',
+                        borderRadius: '4px',
+                        border: '1px solid #ccc',
+                        fontSize: '0.8rem',
+                      }}
+                    >
+                      {locationTiers.map((tier) => (
+                        <option key={tier.id} value={tier.id}>
+                          {tier.label}
+                        </option>
+                      ))}
+                    </select>
+                    <label htmlFor="hire-floor-type" style={{ fontWeight: 600, marginLeft: '0.75rem' }}>Keep at least</label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={hireFloor.value}
+                      onChange={(e) => setHireFloor((prev) => ({ ...prev, value: Math.max(0, Number(e.target.value) || 0) }))}
+                      style={{
+                        width: hireFloor.type === 'runway' ? '50px' : '90px',
+                        padding: '0.25rem 0.4rem',
+                        borderRadius: '4px',
+                        border: '1px solid #ccc',
+                        fontSize: '0.8rem',
+                        textAlign: 'center',
+                      }}
+                    />
+                    <select
+                      id="hire-floor-type"
+                      value={hireFloor.type}
+                      onChange={(e) =>
+                        setHireFloor({ type: e.target.value, value: e.target.value === 'runway' ? 12 : 100_000 })
+                      }
+                      style={{
+                        padding: '0.25rem 0.4rem',
+                        borderRadius: '4px',
+                        border: '1px solid #ccc',
+                        fontSize: '0.8rem',
+                      }}
+                    >
+                      <option value="runway">months of runway</option>
+                      <option value="cash">{customScenario.currency} in the bank</option>
+                    </select>
+                  </div>
+                  {hireStartWindow && (
+                    <div
+                      style={{
+                        marginBottom: '0.75rem',
+                        padding: '0.4rem 0.75rem',
+                        borderRadius: '6px',
+                        fontSize: '0.8rem',
+                        textAlign: 'center',
+                        backgroundColor: hireStartWindow.feasibleMonths.includes(dragOverMonth) ? '#d1fae5' : '#fee2e2',
+                        color: hireStartWindow.feasibleMonths.includes(dragOverMonth) ? '#065f46' : '#991b1b',
+                      }}
+                    >
+                      {hireStartWindow.earliestMonth == null
+                        ? `No start month for ${hireStartWindow.role.title} keeps the floor`
+                        : `${hireStartWindow.role.title} fits from ${describeMonth(customScenario, hireStartWindow.earliestMonth).label} to ${describeMonth(customScenario, hireStartWindow.latestMonth).label}`}
+                      {' · '}
+                      {describeMonth(customScenario, dragOverMonth).label}{' '}
+                      {hireStartWindow.feasibleMonths.includes(dragOverMonth) ? 'works' : 'breaks the floor'}
+                    </div>
+                  )}
                   <div
                     style={{
                       display: 'flex',
@@ -1599,11 +2908,14 @@ function App() {
                       justifyContent: 'flex-start',
                     }}
                   >
-                    {availableRoles.map((role) => (
+                    {availableRoles.map((role) => {
+                      const band = getSalaryBand(role.id, hiringLocation)
+                      return (
                       <div
                         key={role.id}
                         draggable
                         onDragStart={(event) => handleRoleDragStart(role.id, event)}
+                        onDragEnd={handleRoleDragEnd}
                         style={{
                           border: '1px solid #ddd',
                           borderRadius: '8px',
@@ -1629,10 +2941,16 @@ function App() {
                       >
                         <strong style={{ display: 'block', marginBottom: '0.25rem' }}>{role.title}</strong>
                         <span style={{ fontSize: '0.75rem', color: '#666' }}>
-                          {currentScenario.currency} {role.annualSalary.toLocaleString()}/yr
+                          {currentScenario.currency} {roleSalaryIn(role, hiringLocation).toLocaleString()}/yr
                         </span>
+                        {band && (
+                          <span style={{ display: 'block', fontSize: '0.65rem', color: '#999' }}>
+                            {band.min.toLocaleString()} – {band.max.toLocaleString()}
+                          </span>
+                        )}
                       </div>
-                    ))}
+                      )
+                    })}
                   </div>
                 </div>
                 <h3 style={{ marginBottom: '0.5rem' }}>
@@ -1665,10 +2983,16 @@ function App() {
                         return starts && ends
                       },
                     )
+                    const exitsThisMonth = customScenario.hires.filter(
+                      (h) => h.departure && h.endMonth === monthIndex,
+                    )
+                    const fundingThisMonth = (customScenario.financingEvents || []).filter(
+                      (event) => event.month === monthIndex,
+                    )
                     return (
                       <div
                         key={monthIndex}
-                        onDragOver={handleMonthDragOver}
+                        onDragOver={(event) => handleMonthDragOver(monthIndex, event)}
                         onDrop={(event) => handleMonthDrop(monthIndex, event)}
                         style={{
                           flex: '1 1 0',
@@ -1689,7 +3013,7 @@ function App() {
                             marginBottom: '0.25rem',
                           }}
                         >
-                          M{monthIndex + 1}
+                          {describeMonth(customScenario, monthIndex).shortLabel}
                         </div>
                         {hiresThisMonth.map((hire) => (
                           <div
@@ -1705,7 +3029,18 @@ function App() {
                               gap: '0.2rem',
                             }}
                           >
-                            <span style={{ flex: 1 }}>{hire.title}</span>
+                            <span
+                              onClick={() => setEditingHireId(hire.id)}
+                              style={{ flex: 1, cursor: 'pointer', textDecoration: editingHireId === hire.id ? 'underline' : 'none' }}
+                              title="Edit location, raises and promotions"
+                            >
+                              {hire.title}
+                              {hire.location && (
+                                <span style={{ fontSize: '0.65rem', color: '#666' }}>
+                                  {' '}({locationTiers.find((t) => t.id === hire.location)?.shortLabel})
+                                </span>
+                              )}
+                            </span>
                             <button
                               onClick={(e) => {
                                 e.stopPropagation()
@@ -1786,11 +3121,93 @@ function App() {
                             </button>
                           </div>
                         ))}
+                        {exitsThisMonth.map((hire) => (
+                          <div
+                            key={`exit_${hire.id}`}
+                            onClick={() => setEditingHireId(hire.id)}
+                            style={{
+                              fontSize: '0.75rem',
+                              padding: '0.25rem 0.4rem',
+                              borderRadius: '999px',
+                              backgroundColor: '#fee2e2',
+                              marginBottom: '0.25rem',
+                              cursor: 'pointer',
+                            }}
+                            title="Edit this departure"
+                          >
+                            {hire.departure.type === 'layoff' ? 'Layoff' : 'Leaves'}: {hire.title}
+                          </div>
+                        ))}
+                        {fundingThisMonth.map((event) => (
+                          <div
+                            key={event.id}
+                            style={{
+                              fontSize: '0.75rem',
+                              padding: '0.25rem 0.4rem',
+                              borderRadius: '999px',
+                              backgroundColor: event.committed ? '#d1fae5' : '#ecfdf5',
+                              border: event.committed ? 'none' : '1px dashed #10b981',
+                              marginBottom: '0.25rem',
+                              display: 'flex',
+                              flexDirection: 'column',
+                              gap: '0.2rem',
+                            }}
+                          >
+                            <span style={{ flex: 1 }}>
+                              {event.label}
+                              {event.annualInterestRate > 0 && (
+                                <span style={{ fontSize: '0.65rem', color: '#666' }}>
+                                  {' '}({Math.round(event.annualInterestRate * 1000) / 10}% interest)
+                                </span>
+                              )}
+                              {!event.committed && (
+                                <span style={{ fontSize: '0.65rem', color: '#666' }}> (planned)</span>
+                              )}
+                            </span>
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation()
+                                handleDeleteFundingEvent(event.id)
+                              }}
+                              style={{
+                                background: 'none',
+                                border: 'none',
+                                color: '#666',
+                                cursor: 'pointer',
+                                fontSize: '0.7rem',
+                                padding: '0.1rem 0.3rem',
+                                borderRadius: '4px',
+                                lineHeight: 1,
+                                alignSelf: 'flex-start',
+                              }}
+                              onMouseEnter={(e) => {
+                                e.target.style.backgroundColor = '#ff4444'
+                                e.target.style.color = '#fff'
+                              }}
+                              onMouseLeave={(e) => {
+                                e.target.style.backgroundColor = 'transparent'
+                                e.target.style.color = '#666'
+                              }}
+                              title="Delete this funding event"
+                            >
+                              Delete
+                            </button>
+                          </div>
+                        ))}
                         <div style={{ flex: 1 }}></div>
                       </div>
                     )
                   })}
                 </div>
+                {editingHire && !redactionGroupBy && (
+                  <HireDetailsEditor
+                    key={editingHire.id}
+                    hire={editingHire}
+                    scenario={customScenario}
+                    onChange={handleUpdateHire}
+                    onClose={() => setEditingHireId(null)}
+                  />
+                )}
               </div>
             </div>
           </div>
@@ -1838,6 +3255,19 @@ function App() {
             <h2 style={{ margin: '0 0 1rem 0', textAlign: 'center', fontSize: '2rem', fontWeight: 700 }}>
               Summary
             </h2>
+            {loadingShareSlug && (
+              <div style={{
+                padding: '0.75rem',
+                marginBottom: '0.75rem',
+                backgroundColor: '#f3f4f6',
+                borderRadius: '6px',
+                border: '1px solid #d1d5db',
+                fontSize: '0.9rem',
+                color: '#374151',
+              }}>
+                Loading shared scenario...
+              </div>
+            )}
             {loadedFromURL && (
               <div style={{
                 padding: '0.75rem',
@@ -1851,6 +3281,55 @@ function App() {
                 Loaded from shared link
               </div>
             )}
+            {isRedacted(currentScenario) && (
+              <div style={{
+                padding: '0.75rem',
+                marginBottom: '0.75rem',
+                backgroundColor: '#f3f4f6',
+                borderRadius: '6px',
+                border: '1px solid #6b7280',
+                fontSize: '0.9rem',
+                color: '#374151',
+              }}>
+                Salaries redacted: hires are grouped by{' '}
+                {currentScenario.redaction?.groupBy === 'department' ? 'department' : 'role'} (
+                {currentScenario.headcountBuckets.length} groups). Groups with fewer than {MIN_BUCKET_SIZE} people
+                are combined with others, and months where a group would still be smaller only show plan-wide
+                totals.
+                {currentScenario.redaction?.exposesIndividuals && (
+                  <div style={{ marginTop: '0.4rem', color: '#b45309', fontWeight: 600 }}>
+                    Some months' totals come from a single person, so their pay is still visible.
+                  </div>
+                )}
+              </div>
+            )}
+            {isPreviewingRunwayPlan && (
+              <div style={{
+                padding: '0.75rem',
+                marginBottom: '0.75rem',
+                backgroundColor: '#eff6ff',
+                borderRadius: '6px',
+                border: '1px solid #1a73e8',
+                fontSize: '0.9rem',
+                color: '#1e3a8a',
+              }}>
+                Previewing: {runwayPreview.proposal.description}
+                <button
+                  onClick={() => setRunwayPreview(null)}
+                  style={{
+                    marginLeft: '0.5rem',
+                    background: 'none',
+                    border: 'none',
+                    color: '#1a73e8',
+                    fontWeight: 600,
+                    cursor: 'pointer',
+                    fontSize: '0.85rem',
+                  }}
+                >
+                  Stop preview
+                </button>
+              </div>
+            )}
             <p>
               <strong>Scenario:</strong> {currentScenario.name}
             </p>
@@ -1866,11 +3345,53 @@ function App() {
             <p style={{ wordWrap: 'break-word', overflowWrap: 'break-word' }}>
               <strong>Estimated runway:</strong>{' '}
               {runway.hasRunwayEnd
-                ? `${runway.runwayMonths} months`
+                ? `${runway.runwayMonths} months${isDated ? ` (cash out ${burnResult.monthly[runway.cashOutMonth].label})` : ''}`
                 : 'No cash-out within projection window'}
             </p>
+            {runway.committedRunway.hasUncommitted && (
+              <p style={{ wordWrap: 'break-word', overflowWrap: 'break-word' }}>
+                <strong>Runway on committed funding only:</strong>{' '}
+                {runway.committedRunway.hasRunwayEnd
+                  ? `${runway.committedRunway.runwayMonths} months`
+                  : 'No cash-out within projection window'}
+              </p>
+            )}
           </div>
           <div style={{ display: 'flex', justifyContent: 'center', gap: '0.5rem', marginTop: '1.5rem' }}>
+            <select
+              value={redactionGroupBy || ''}
+              onChange={(e) => setRedactionGroupBy(e.target.value || null)}
+              title="Redacted views, PDFs and share links only carry totals per group, not individual salaries"
+              style={{
+                padding: '0.5rem',
+                borderRadius: '6px',
+                border: '1px solid #d1d5db',
+                fontSize: '0.85rem',
+              }}
+            >
+              <option value="">Show salaries</option>
+              {REDACTION_GROUPINGS.map((grouping) => (
+                <option key={grouping.id} value={grouping.id}>
+                  Redact salaries, group by {grouping.label.toLowerCase()}
+                </option>
+              ))}
+            </select>
+            <select
+              value={shareExpiryDays}
+              onChange={(e) => setShareExpiryDays(Number(e.target.value))}
+              title="Protected links need an access token (included in the link) and stop opening after they expire"
+              style={{
+                padding: '0.5rem',
+                borderRadius: '6px',
+                border: '1px solid #d1d5db',
+                fontSize: '0.85rem',
+              }}
+            >
+              <option value={0}>Anyone with the link</option>
+              <option value={1}>Protected, expires in 1 day</option>
+              <option value={7}>Protected, expires in 7 days</option>
+              <option value={30}>Protected, expires in 30 days</option>
+            </select>
             <button
               onClick={handleShareScenario}
               style={{
@@ -1904,6 +3425,17 @@ function App() {
           </div>
         </div>
 
+        <ScenarioDiffView
+          scenario={viewedScenario}
+          candidates={[
+            seedStageScenario,
+            aggressiveHiringScenario,
+            conservativeScenario,
+            customScenario,
+            ...savedScenarios,
+          ]}
+        />
+
         <div ref={aiInsightsRef}>
           <AIInsights
             key={currentScenario.id}
@@ -1930,18 +3462,58 @@ function App() {
                 <th style={{ borderBottom: '1px solid #444', padding: '0.5rem', textAlign: 'center' }}>
                   Month
                 </th>
+                {isDated && (
+                  <th style={{ borderBottom: '1px solid #444', padding: '0.5rem', textAlign: 'center' }}>
+                    Fiscal quarter
+                  </th>
+                )}
                 <th style={{ borderBottom: '1px solid #444', padding: '0.5rem', textAlign: 'center' }}>
                   Active hires
                 </th>
                 <th style={{ borderBottom: '1px solid #444', padding: '0.5rem', textAlign: 'center' }}>
                   Payroll
                 </th>
+                {hasExitCosts && (
+                  <th style={{ borderBottom: '1px solid #444', padding: '0.5rem', textAlign: 'center' }}>
+                    Severance & PTO
+                  </th>
+                )}
+                {hasCommissions && (
+                  <th style={{ borderBottom: '1px solid #444', padding: '0.5rem', textAlign: 'center' }}>
+                    Commissions
+                  </th>
+                )}
+                {hasHiringCosts && (
+                  <th style={{ borderBottom: '1px solid #444', padding: '0.5rem', textAlign: 'center' }}>
+                    Hiring costs
+                  </th>
+                )}
                 <th style={{ borderBottom: '1px solid #444', padding: '0.5rem', textAlign: 'center' }}>
                   Non-headcount
                 </th>
+                {hasInterest && (
+                  <th style={{ borderBottom: '1px solid #444', padding: '0.5rem', textAlign: 'center' }}>
+                    Interest
+                  </th>
+                )}
                 <th style={{ borderBottom: '1px solid #444', padding: '0.5rem', textAlign: 'center' }}>
                   Total burn
                 </th>
+                {hasRevenue && (
+                  <>
+                    <th style={{ borderBottom: '1px solid #444', padding: '0.5rem', textAlign: 'center' }}>
+                      Revenue
+                    </th>
+                    <th style={{ borderBottom: '1px solid #444', padding: '0.5rem', textAlign: 'center' }}>
+                      Net burn
+                    </th>
+                  </>
+                )}
+                {hasFinancing && (
+                  <th style={{ borderBottom: '1px solid #444', padding: '0.5rem', textAlign: 'center' }}>
+                    Funding
+                  </th>
+                )}
                 <th style={{ borderBottom: '1px solid #444', padding: '0.5rem', textAlign: 'center' }}>
                   Closing cash
                 </th>
@@ -1958,20 +3530,63 @@ function App() {
                 }
                 return (
                   <tr key={row.monthIndex}>
-                    <td style={cellStyle}>{row.monthIndex + 1}</td>
+                    <td style={cellStyle}>{isDated ? row.label : row.monthIndex + 1}</td>
+                    {isDated && <td style={cellStyle}>{row.fiscalLabel}</td>}
                     <td style={cellStyle}>{row.activeHires}</td>
                     <td style={cellStyle}>
                       {currentScenario.currency}{' '}
                       {Math.round(row.payrollCost).toLocaleString()}
                     </td>
+                    {hasExitCosts && (
+                      <td style={cellStyle}>
+                        {currentScenario.currency}{' '}
+                        {Math.round(row.exitCost).toLocaleString()}
+                      </td>
+                    )}
+                    {hasCommissions && (
+                      <td style={cellStyle}>
+                        {currentScenario.currency}{' '}
+                        {Math.round(row.commissionCost).toLocaleString()}
+                      </td>
+                    )}
+                    {hasHiringCosts && (
+                      <td style={cellStyle}>
+                        {currentScenario.currency}{' '}
+                        {Math.round(row.hiringCost).toLocaleString()}
+                      </td>
+                    )}
                     <td style={cellStyle}>
                       {currentScenario.currency}{' '}
                       {Math.round(row.nonHeadcountCost).toLocaleString()}
                     </td>
+                    {hasInterest && (
+                      <td style={cellStyle}>
+                        {currentScenario.currency}{' '}
+                        {Math.round(row.interestCost).toLocaleString()}
+                      </td>
+                    )}
                     <td style={cellStyle}>
                       {currentScenario.currency}{' '}
                       {Math.round(row.totalCost).toLocaleString()}
                     </td>
+                    {hasRevenue && (
+                      <>
+                        <td style={cellStyle}>
+                          {currentScenario.currency}{' '}
+                          {Math.round(row.revenue).toLocaleString()}
+                        </td>
+                        <td style={cellStyle}>
+                          {currentScenario.currency}{' '}
+                          {Math.round(row.netBurn).toLocaleString()}
+                        </td>
+                      </>
+                    )}
+                    {hasFinancing && (
+                      <td style={cellStyle}>
+                        {currentScenario.currency}{' '}
+                        {Math.round(row.financing).toLocaleString()}
+                      </td>
+                    )}
                     <td style={cellStyle}>
                       {currentScenario.currency}{' '}
                       {Math.round(row.closingCash).toLocaleString()}
@@ -1982,16 +3597,32 @@ function App() {
             </tbody>
           </table>
         </div>
-        <div ref={chartRef}>
-          <CashRunwayChart
-            monthly={burnResult.monthly}
-            startingCash={currentScenario.startingCash}
-          />
+        <div style={{ display: 'flex', gap: '1rem', alignItems: 'flex-start', flexWrap: 'wrap' }}>
+          <div ref={chartRef} style={{ flex: '1 1 600px', minWidth: 0 }}>
+            <CashRunwayChart
+              monthly={burnResult.monthly}
+              startingCash={currentScenario.startingCash}
+              scenario={currentScenario}
+            />
+          </div>
+          <div style={{ flex: '0 0 280px', marginTop: '2rem', display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+            <FundraisingPanel scenario={currentScenario} />
+            {(runway.hasRunwayEnd || isPreviewingRunwayPlan) && (
+              <RunwayPlannerPanel
+                scenario={baseScenario}
+                fixedCostIds={PLANNER_FIXED_COST_IDS}
+                previewId={isPreviewingRunwayPlan ? runwayPreview.proposal.id : null}
+                onPreview={(proposal) => setRunwayPreview(proposal ? { baseScenario, proposal } : null)}
+                onApply={handleApplyRunwayPlan}
+              />
+            )}
+          </div>
         </div>
         <div style={{ display: 'flex', gap: '2rem', justifyContent: 'center', flexWrap: 'wrap', marginTop: '2rem' }}>
           <div ref={rolePieChartRef} style={{ flex: '1 1 0', minWidth: '300px', maxWidth: '500px' }}>
             <RoleSpendingPieChart
               scenario={currentScenario}
+              burnResult={burnResult}
               currency={currentScenario.currency}
             />
           </div>
@@ -2003,6 +3634,9 @@ function App() {
             />
           </div>
         </div>
+        <div ref={tornadoChartRef}>
+          <TornadoChart scenario={currentScenario} />
+        </div>
         <div ref={optionPoolRef}>
           <div style={{
             display: 'flex',
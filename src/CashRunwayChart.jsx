@@ -1,6 +1,7 @@
-import { useState } from 'react'
+import { useEffect, useState } from 'react'
 import {
-  LineChart,
+  ComposedChart,
+  Area,
   Line,
   XAxis,
   YAxis,
@@ -10,15 +11,41 @@ import {
   ReferenceLine,
   Legend,
 } from 'recharts'
+import { useDebouncedValue } from './useDebouncedValue.js'
 
-function CashRunwayChart({ monthly, startingCash, showSpendAllLine: showSpendAllLineProp }) {
+function CashRunwayChart({ monthly, startingCash, showSpendAllLine: showSpendAllLineProp, scenario }) {
   const [showSpendAllLine, setShowSpendAllLine] = useState(showSpendAllLineProp || false)
+  const [showConfidenceBand, setShowConfidenceBand] = useState(false)
+
+  // The simulation re-runs the engine thousands of times, so it runs in a
+  // worker, only while the band is switched on and once edits to the plan
+  // pause. A newer plan terminates the worker still busy with an older one.
+  const simulatedScenario = useDebouncedValue(scenario, 400)
+  const [latestSimulation, setLatestSimulation] = useState(null)
+  useEffect(() => {
+    if (!simulatedScenario || !showConfidenceBand) return
+    const worker = new Worker(new URL('./engine/monteCarlo.worker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = (event) => setLatestSimulation(event.data)
+    worker.postMessage(simulatedScenario)
+    return () => worker.terminate()
+  }, [simulatedScenario, showConfidenceBand])
+  const simulation = showConfidenceBand ? latestSimulation : null
   
   if (!monthly || monthly.length === 0) return null
 
+  // Dated plans label the axis with calendar months, undated ones with month numbers
+  const isDated = monthly[0].isoMonth != null
+
   const data = monthly.map((row) => ({
     month: row.monthIndex + 1,
+    axisLabel: isDated ? row.shortLabel : row.monthIndex + 1,
+    tooltipLabel: isDated ? `${row.label} (${row.fiscalLabel})` : `Month ${row.monthIndex + 1}`,
     closingCash: Math.round(row.closingCash),
+    // The simulation can lag up to a second behind edits, including to the horizon
+    ...(simulation?.monthly[row.monthIndex] && {
+      cashRange: [Math.round(simulation.monthly[row.monthIndex].p10), Math.round(simulation.monthly[row.monthIndex].p90)],
+      medianCash: Math.round(simulation.monthly[row.monthIndex].p50),
+    }),
   }))
 
   // Calculate the "spend all cash by month 12" line
@@ -41,6 +68,8 @@ function CashRunwayChart({ monthly, startingCash, showSpendAllLine: showSpendAll
 
   const formatNumber = (value) => Number(value).toLocaleString()
 
+  const formatRunway = (runwayMonths) => (runwayMonths == null ? 'beyond plan' : `${runwayMonths} mo`)
+
   return (
     <div
       style={{
@@ -52,36 +81,67 @@ function CashRunwayChart({ monthly, startingCash, showSpendAllLine: showSpendAll
     >
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem' }}>
         <h2 style={{ margin: 0, color: '#000000' }}>Cash balance over time</h2>
-        <label
-          style={{
-            display: 'flex',
-            alignItems: 'center',
-            gap: '0.5rem',
-            cursor: 'pointer',
-            fontSize: '0.9rem',
-            userSelect: 'none',
-            color: '#000000',
-          }}
-        >
-          <input
-            type="checkbox"
-            checked={showSpendAllLine}
-            onChange={(e) => setShowSpendAllLine(e.target.checked)}
-            style={{ cursor: 'pointer' }}
-          />
-          <span>  For Reference: 12-Month Steady Spending line</span>
-        </label>
+        <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-end', gap: '0.25rem' }}>
+          {scenario && (
+            <label
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.5rem',
+                cursor: 'pointer',
+                fontSize: '0.9rem',
+                userSelect: 'none',
+                color: '#000000',
+              }}
+            >
+              <input
+                type="checkbox"
+                checked={showConfidenceBand}
+                onChange={(e) => setShowConfidenceBand(e.target.checked)}
+                style={{ cursor: 'pointer' }}
+              />
+              <span>Show P10–P90 range (simulated)</span>
+            </label>
+          )}
+          <label
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.5rem',
+              cursor: 'pointer',
+              fontSize: '0.9rem',
+              userSelect: 'none',
+              color: '#000000',
+            }}
+          >
+            <input
+              type="checkbox"
+              checked={showSpendAllLine}
+              onChange={(e) => setShowSpendAllLine(e.target.checked)}
+              style={{ cursor: 'pointer' }}
+            />
+            <span>  For Reference: 12-Month Steady Spending line</span>
+          </label>
+        </div>
       </div>
+      {simulation && (
+        <div style={{ fontSize: '0.8rem', color: '#374151', textAlign: 'right' }}>
+          Cash runs out in {Math.round(simulation.cashOutProbability * 100)}% of{' '}
+          {simulation.runs.toLocaleString()} simulated runs · Runway P10 / P50 / P90:{' '}
+          {formatRunway(simulation.runwayPercentiles.p10)} / {formatRunway(simulation.runwayPercentiles.p50)} /{' '}
+          {formatRunway(simulation.runwayPercentiles.p90)}
+        </div>
+      )}
       <ResponsiveContainer width="100%" height="100%">
-        <LineChart
+        <ComposedChart
           data={chartData}
           margin={{ top: 20, right: 20, left: 20, bottom: 20 }}
         >
           <CartesianGrid stroke="#e0e0e0" />
           <XAxis
-            dataKey="month"
+            dataKey="axisLabel"
             tickLine={false}
-            label={{ value: 'Month', position: 'insideBottom', offset: -15 }}
+            label={isDated ? undefined : { value: 'Month', position: 'insideBottom', offset: -15 }}
           />
           <YAxis
             tickLine={false}
@@ -89,16 +149,43 @@ function CashRunwayChart({ monthly, startingCash, showSpendAllLine: showSpendAll
             width={80}
           />
           <Tooltip
-            formatter={(value, name) => {
+            formatter={(value, name, item) => {
               if (value === null) return null
               if (name === 'spendAllCash') {
                 return [formatNumber(value), 'Spend all cash by month 12']
               }
+              if (item?.dataKey === 'cashRange') {
+                return [`${formatNumber(value[0])} – ${formatNumber(value[1])}`, 'P10–P90 range']
+              }
+              if (item?.dataKey === 'medianCash') {
+                return [formatNumber(value), 'Median (P50)']
+              }
               return [formatNumber(value), 'Remaining money']
             }}
-            labelFormatter={(label) => `Month ${label}`}
+            labelFormatter={(label, payload) => payload?.[0]?.payload.tooltipLabel ?? label}
           />
           <ReferenceLine y={0} stroke="#ef4444" strokeWidth={1} />
+          {simulation && (
+            <Area
+              type="monotone"
+              dataKey="cashRange"
+              stroke="none"
+              fill="#ec4899"
+              fillOpacity={0.15}
+              name="P10–P90 range"
+            />
+          )}
+          {simulation && (
+            <Line
+              type="monotone"
+              dataKey="medianCash"
+              stroke="#ec4899"
+              strokeWidth={1}
+              strokeDasharray="4 4"
+              dot={false}
+              name="Median (P50)"
+            />
+          )}
           <Line
             type="monotone"
             dataKey="closingCash"
@@ -118,7 +205,7 @@ function CashRunwayChart({ monthly, startingCash, showSpendAllLine: showSpendAll
               name="Spend all cash by month 12"
             />
           )}
-        </LineChart>
+        </ComposedChart>
       </ResponsiveContainer>
     </div>
   )
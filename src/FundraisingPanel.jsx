@@ -0,0 +1,106 @@
+import { useMemo, useState } from 'react'
+import { describeMonth } from './engine'
+import { solveFundraise } from './engine/fundraising.js'
+
+function FundraisingPanel({ scenario }) {
+  const [targetRunwayMonths, setTargetRunwayMonths] = useState(24)
+  const [safetyBufferMonths, setSafetyBufferMonths] = useState(3)
+
+  // Each solve re-runs the burn engine several times over a longer horizon
+  const result = useMemo(
+    () => (scenario ? solveFundraise(scenario, { targetRunwayMonths, safetyBufferMonths }) : null),
+    [scenario, targetRunwayMonths, safetyBufferMonths],
+  )
+
+  if (!scenario) return null
+
+  const hasUncommitted = (scenario.financingEvents || []).some((event) => !event.committed)
+
+  const formatCurrency = (value) => `${scenario.currency} ${Math.round(value).toLocaleString()}`
+
+  const inputStyle = {
+    width: '70px',
+    padding: '0.3rem 0.4rem',
+    borderRadius: '4px',
+    border: '1px solid #ccc',
+    fontSize: '0.85rem',
+    textAlign: 'center',
+  }
+
+  return (
+    <div
+      style={{
+        backgroundColor: '#ffffff',
+        border: '2px solid #000000',
+        borderRadius: '12px',
+        padding: '1.25rem',
+        boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
+      }}
+    >
+      <h3 style={{ margin: '0 0 0.25rem 0', fontSize: '1.2rem', fontWeight: 700, color: '#000000' }}>
+        Fundraising Mode
+      </h3>
+      <p style={{ margin: '0 0 1rem 0', fontSize: '0.8rem', color: '#6b7280' }}>
+        How much to raise to fund this hiring plan
+      </p>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', marginBottom: '1rem' }}>
+        <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '0.85rem' }}>
+          <span>Runway after close (months)</span>
+          <input
+            type="number"
+            min="1"
+            max="60"
+            value={targetRunwayMonths}
+            onChange={(e) => setTargetRunwayMonths(Math.max(1, Math.min(60, Number(e.target.value) || 1)))}
+            style={inputStyle}
+          />
+        </label>
+        <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '0.85rem' }}>
+          <span>Safety buffer (months)</span>
+          <input
+            type="number"
+            min="0"
+            max="12"
+            value={safetyBufferMonths}
+            onChange={(e) => setSafetyBufferMonths(Math.max(0, Math.min(12, Number(e.target.value) || 0)))}
+            style={inputStyle}
+          />
+        </label>
+      </div>
+
+      {hasUncommitted && (
+        <p style={{ margin: '0 0 1rem 0', fontSize: '0.75rem', color: '#6b7280' }}>
+          Rounds that aren't committed yet are left out.
+        </p>
+      )}
+
+      {result.needsRaise ? (
+        <div style={{ borderTop: '1px solid #e5e7eb', paddingTop: '1rem' }}>
+          <div style={{ fontSize: '0.8rem', color: '#6b7280', fontWeight: 600 }}>Minimum raise</div>
+          <div style={{ fontSize: '1.75rem', fontWeight: 700, color: '#1a73e8', marginBottom: '0.75rem' }}>
+            {formatCurrency(result.raiseAmount)}
+          </div>
+          <div style={{ fontSize: '0.8rem', color: '#6b7280', fontWeight: 600 }}>Close by</div>
+          <div style={{ fontSize: '1.25rem', fontWeight: 700, color: '#000000', marginBottom: '0.5rem' }}>
+            {describeMonth(scenario, result.latestCloseMonth).label}
+          </div>
+          <p style={{ margin: 0, fontSize: '0.8rem', color: '#374151', lineHeight: 1.5 }}>
+            Without a raise, cash runs out in {describeMonth(scenario, result.cashOutMonth).label}.
+          </p>
+          {result.isPastDeadline && (
+            <p style={{ margin: '0.5rem 0 0 0', fontSize: '0.8rem', color: '#ef4444', fontWeight: 600 }}>
+              Cash runs out before the safety buffer — this round is already late.
+            </p>
+          )}
+        </div>
+      ) : (
+        <div style={{ borderTop: '1px solid #e5e7eb', paddingTop: '1rem', fontSize: '0.9rem', color: '#065f46' }}>
+          No raise needed — this plan already covers {targetRunwayMonths} months beyond the projection.
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FundraisingPanel
@@ -0,0 +1,429 @@
+import { useState } from 'react'
+import {
+  locationTiers,
+  getSalaryBand,
+  baseAnnualSalary,
+  defaultEmployerCostTable,
+  describeMonth,
+  monthIndexForDate,
+  hiringCostForHire,
+  availableRoles,
+} from './engine'
+
+const fieldStyle = {
+  padding: '0.3rem 0.4rem',
+  borderRadius: '4px',
+  border: '1px solid #ccc',
+  fontSize: '0.8rem',
+}
+
+const labelStyle = {
+  display: 'block',
+  marginBottom: '0.2rem',
+  fontWeight: 600,
+  fontSize: '0.8rem',
+}
+
+// Inline editor for a single hire in the custom plan timeline
+function HireDetailsEditor({ hire, scenario, onChange, onClose }) {
+  const { currency, employerCostTable } = scenario
+  const months = Array.from({ length: scenario.projectionMonths }, (_, i) => i)
+  const monthLabel = (monthIndex) => describeMonth(scenario, monthIndex).label
+
+  const [promotionForm, setPromotionForm] = useState({
+    month: hire.startMonth + 1,
+    annualSalary: '',
+  })
+
+  const promotions = hire.promotions || []
+  const laterMonths = months.filter((m) => m > hire.startMonth)
+
+  const role = availableRoles.find((r) => r.id === hire.roleId)
+  const variableComp = hire.variableComp || (role && role.variableComp)
+  const band = hire.roleId ? getSalaryBand(hire.roleId, hire.location) : null
+
+  // Keep the stored salary in step with the band, so anything reading
+  // annualSalary directly sees what the hire is paid
+  function withBandSalary(updatedHire) {
+    return { ...updatedHire, annualSalary: baseAnnualSalary(updatedHire) }
+  }
+
+  function handleLocationChange(event) {
+    onChange(withBandSalary({ ...hire, location: event.target.value }))
+  }
+
+  function handleSalaryLevelChange(event) {
+    onChange(withBandSalary({ ...hire, salaryLevel: event.target.value }))
+  }
+
+  const employerCostRegions = Object.entries({ ...defaultEmployerCostTable, ...(employerCostTable || {}) })
+
+  function handleCountryChange(event) {
+    const country = event.target.value
+    onChange({ ...hire, country: country || undefined })
+  }
+
+  // Day-level dates are only available once the plan has a start month
+  const isDated = Boolean(scenario.startDate)
+
+  function handleStartDateChange(event) {
+    const startDate = event.target.value
+    if (!startDate) {
+      onChange({ ...hire, startDate: undefined })
+      return
+    }
+    const startMonth = monthIndexForDate(scenario, startDate)
+    if (startMonth < 0 || startMonth >= scenario.projectionMonths) {
+      alert('Start date must fall within the planning period')
+      return
+    }
+    onChange({ ...hire, startDate, startMonth })
+  }
+
+  function handleEndDateChange(event) {
+    const endDate = event.target.value
+    if (!endDate) {
+      // A departure keeps its last month; otherwise the hire stays on again
+      onChange(hire.departure ? { ...hire, endDate: undefined } : { ...hire, endDate: undefined, endMonth: undefined })
+      return
+    }
+    const endMonth = monthIndexForDate(scenario, endDate)
+    if (endMonth < 0) {
+      alert("Last day can't be before the plan starts")
+      return
+    }
+    if (endMonth < hire.startMonth || (hire.startDate && endDate < hire.startDate)) {
+      alert('Last day must be after the start date')
+      return
+    }
+    onChange({ ...hire, endDate, endMonth })
+  }
+
+  const departure = hire.departure
+  const exitMonths = months.filter((m) => m >= hire.startMonth)
+
+  function handleDepartureTypeChange(event) {
+    const type = event.target.value
+    if (!type) {
+      onChange({ ...hire, departure: undefined, endMonth: undefined, endDate: undefined })
+      return
+    }
+    onChange({
+      ...hire,
+      departure: {
+        type,
+        severanceWeeks: departure?.severanceWeeks ?? (type === 'layoff' ? 4 : 0),
+        accruedPtoDays: departure?.accruedPtoDays ?? 5,
+      },
+      endMonth: hire.endMonth ?? exitMonths[exitMonths.length - 1],
+    })
+  }
+
+  function handleEndMonthChange(event) {
+    onChange({ ...hire, endMonth: Number(event.target.value), endDate: undefined })
+  }
+
+  function handleDepartureFieldChange(field, event) {
+    const value = Math.max(0, Number(event.target.value) || 0)
+    onChange({ ...hire, departure: { ...departure, [field]: value } })
+  }
+
+  function handleRaiseRateChange(event) {
+    const percent = Number(event.target.value) || 0
+    onChange({ ...hire, annualRaiseRate: Math.max(0, percent) / 100 })
+  }
+
+  function handleAddPromotion() {
+    const annualSalary = Number(promotionForm.annualSalary) || 0
+    if (annualSalary <= 0) {
+      alert('Please enter a valid salary for the promotion')
+      return
+    }
+    const updatedPromotions = [
+      ...promotions.filter((p) => p.month !== promotionForm.month),
+      { month: promotionForm.month, annualSalary },
+    ].sort((a, b) => a.month - b.month)
+    onChange({ ...hire, promotions: updatedPromotions })
+    setPromotionForm((prev) => ({ ...prev, annualSalary: '' }))
+  }
+
+  function handleDeletePromotion(month) {
+    onChange({ ...hire, promotions: promotions.filter((p) => p.month !== month) })
+  }
+
+  return (
+    <div
+      style={{
+        marginTop: '1rem',
+        padding: '1rem',
+        border: '1px solid #1a73e8',
+        borderRadius: '8px',
+        backgroundColor: '#f8fbff',
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.75rem' }}>
+        <h4 style={{ margin: 0, fontSize: '0.95rem', fontWeight: 600 }}>
+          {hire.title} — starts {monthLabel(hire.startMonth)}
+        </h4>
+        <button
+          onClick={onClose}
+          style={{
+            background: 'none',
+            border: 'none',
+            fontSize: '1.2rem',
+            cursor: 'pointer',
+            color: '#666',
+            lineHeight: 1,
+          }}
+          title="Close"
+        >
+          ×
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', gap: '1.5rem', flexWrap: 'wrap', alignItems: 'flex-start' }}>
+        {isDated && (
+          <div>
+            <label style={labelStyle}>Start date</label>
+            <input
+              type="date"
+              value={hire.startDate || ''}
+              onChange={handleStartDateChange}
+              style={fieldStyle}
+            />
+          </div>
+        )}
+
+        {isDated && !hire.departure && (
+          <div>
+            <label style={labelStyle}>Last day (optional)</label>
+            <input
+              type="date"
+              value={hire.endDate || ''}
+              onChange={handleEndDateChange}
+              style={fieldStyle}
+            />
+          </div>
+        )}
+
+        {hire.roleId && (
+          <div>
+            <label style={labelStyle}>Location</label>
+            <select value={hire.location || ''} onChange={handleLocationChange} style={fieldStyle}>
+              {!hire.location && <option value="">Custom salary</option>}
+              {locationTiers.map((tier) => (
+                <option key={tier.id} value={tier.id}>
+                  {tier.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {band && (
+          <div>
+            <label style={labelStyle}>Salary band</label>
+            <select value={hire.salaryLevel || 'median'} onChange={handleSalaryLevelChange} style={fieldStyle}>
+              <option value="min">Low ({currency} {band.min.toLocaleString()})</option>
+              <option value="median">Median ({currency} {band.median.toLocaleString()})</option>
+              <option value="max">High ({currency} {band.max.toLocaleString()})</option>
+            </select>
+          </div>
+        )}
+
+        <div>
+          <label style={labelStyle}>Employer costs</label>
+          <select value={hire.country || ''} onChange={handleCountryChange} style={fieldStyle}>
+            <option value="">Salary multiplier</option>
+            {employerCostRegions.map(([id, profile]) => (
+              <option key={id} value={id}>
+                {profile.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label style={labelStyle}>Base salary</label>
+          <div style={{ fontSize: '0.85rem' }}>
+            {currency} {baseAnnualSalary(hire).toLocaleString()}/yr
+          </div>
+        </div>
+
+        <div>
+          <label style={labelStyle}>One-time hiring cost</label>
+          <div style={{ fontSize: '0.85rem' }} title="Recruiter fee, equipment and onboarding">
+            {currency} {Math.round(hiringCostForHire(hire)).toLocaleString()}
+          </div>
+        </div>
+
+        {variableComp && (
+          <div>
+            <label style={labelStyle}>Variable comp</label>
+            <div style={{ fontSize: '0.85rem' }}>
+              {Math.round(variableComp.oteBaseSplit * 100)}/{Math.round((1 - variableComp.oteBaseSplit) * 100)} OTE split,{' '}
+              {Math.round(variableComp.commissionRate * 100)}% of new ARR, {variableComp.rampMonths}-month ramp
+            </div>
+          </div>
+        )}
+
+        <div>
+          <label style={labelStyle}>Annual merit raise (%)</label>
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            value={Math.round((hire.annualRaiseRate || 0) * 1000) / 10}
+            onChange={handleRaiseRateChange}
+            style={{ ...fieldStyle, width: '80px', textAlign: 'center' }}
+          />
+        </div>
+
+        <div style={{ flex: '1 1 240px' }}>
+          <label style={labelStyle}>Promotions</label>
+          {promotions.length === 0 && (
+            <div style={{ fontSize: '0.75rem', color: '#666', marginBottom: '0.3rem' }}>
+              No promotions scheduled
+            </div>
+          )}
+          {promotions.map((promotion) => (
+            <div
+              key={promotion.month}
+              style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', fontSize: '0.8rem', marginBottom: '0.2rem' }}
+            >
+              <span>
+                {monthLabel(promotion.month)}: {currency} {promotion.annualSalary.toLocaleString()}/yr
+              </span>
+              <button
+                onClick={() => handleDeletePromotion(promotion.month)}
+                style={{
+                  background: 'none',
+                  border: 'none',
+                  color: '#666',
+                  cursor: 'pointer',
+                  fontSize: '0.7rem',
+                }}
+                title="Remove this promotion"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+          {laterMonths.length > 0 && (
+            <div style={{ display: 'flex', gap: '0.3rem', marginTop: '0.3rem' }}>
+              <select
+                value={promotionForm.month}
+                onChange={(e) =>
+                  setPromotionForm((prev) => ({ ...prev, month: Number(e.target.value) }))
+                }
+                style={fieldStyle}
+              >
+                {laterMonths.map((m) => (
+                  <option key={m} value={m}>
+                    {monthLabel(m)}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="number"
+                placeholder="New salary"
+                value={promotionForm.annualSalary}
+                onChange={(e) =>
+                  setPromotionForm((prev) => ({ ...prev, annualSalary: e.target.value }))
+                }
+                style={{ ...fieldStyle, width: '110px', textAlign: 'center' }}
+              />
+              <button
+                onClick={handleAddPromotion}
+                style={{
+                  ...fieldStyle,
+                  border: '1px solid #1a73e8',
+                  backgroundColor: '#1a73e8',
+                  color: '#fff',
+                  fontWeight: 600,
+                  cursor: 'pointer',
+                }}
+              >
+                Add
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div
+        style={{
+          display: 'flex',
+          gap: '1.5rem',
+          flexWrap: 'wrap',
+          alignItems: 'flex-start',
+          marginTop: '0.75rem',
+          paddingTop: '0.75rem',
+          borderTop: '1px solid #dbe7fb',
+        }}
+      >
+        <div>
+          <label style={labelStyle}>Departure</label>
+          <select value={departure?.type || ''} onChange={handleDepartureTypeChange} style={fieldStyle}>
+            <option value="">Stays on</option>
+            <option value="voluntary">Leaves voluntarily</option>
+            <option value="layoff">Laid off</option>
+          </select>
+        </div>
+
+        {departure && (
+          <div>
+            <label style={labelStyle}>Last month</label>
+            <select value={hire.endMonth ?? ''} onChange={handleEndMonthChange} style={fieldStyle}>
+              {exitMonths.map((m) => (
+                <option key={m} value={m}>
+                  {monthLabel(m)}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {departure && isDated && (
+          <div>
+            <label style={labelStyle}>Last day (optional)</label>
+            <input
+              type="date"
+              value={hire.endDate || ''}
+              onChange={handleEndDateChange}
+              style={fieldStyle}
+            />
+          </div>
+        )}
+
+        {departure && (
+          <div>
+            <label style={labelStyle}>Severance (weeks)</label>
+            <input
+              type="number"
+              min="0"
+              value={departure.severanceWeeks || 0}
+              onChange={(e) => handleDepartureFieldChange('severanceWeeks', e)}
+              style={{ ...fieldStyle, width: '70px', textAlign: 'center' }}
+            />
+          </div>
+        )}
+
+        {departure && (
+          <div>
+            <label style={labelStyle}>Accrued PTO (days)</label>
+            <input
+              type="number"
+              min="0"
+              value={departure.accruedPtoDays || 0}
+              onChange={(e) => handleDepartureFieldChange('accruedPtoDays', e)}
+              style={{ ...fieldStyle, width: '70px', textAlign: 'center' }}
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default HireDetailsEditor
@@ -83,30 +83,33 @@ const CustomLegend = ({ payload }) => {
   )
 }
 
-function RoleSpendingPieChart({ scenario, currency }) {
-  // Calculate total spending per role
+function RoleSpendingPieChart({ scenario, burnResult, currency }) {
+  // Calculate total spending per role from the engine's per-hire payroll,
+  // so raises and promotions are reflected. Redacted scenarios have
+  // headcount buckets (roles or departments) in place of hires.
   const roleSpending = {}
   let hasData = false
+  const headcountBuckets = scenario?.headcountBuckets || []
   
-  if (scenario && scenario.hires && scenario.hires.length > 0) {
+  if (scenario && scenario.hires && (scenario.hires.length > 0 || headcountBuckets.length > 0) && burnResult) {
     hasData = true
-    const projectionMonths = scenario.projectionMonths || 12
-    const multiplier = scenario.employeeCostMultiplier || 1.3
-
+    const titleByHireId = {}
     scenario.hires.forEach((hire) => {
-      const startMonth = hire.startMonth || 0
-      const endMonth = hire.endMonth != null ? hire.endMonth : projectionMonths - 1
-      const activeMonths = Math.max(0, Math.min(endMonth, projectionMonths - 1) - startMonth + 1)
-      
-      const monthlyCost = (hire.annualSalary / 12) * multiplier
-      const totalCost = monthlyCost * activeMonths
+      titleByHireId[hire.id] = hire.title
+    })
+    headcountBuckets.forEach((bucket) => {
+      titleByHireId[bucket.id] = bucket.label
+    })
 
-      const roleTitle = hire.title
-      if (roleSpending[roleTitle]) {
-        roleSpending[roleTitle] += totalCost
-      } else {
-        roleSpending[roleTitle] = totalCost
-      }
+    burnResult.monthly.forEach((row) => {
+      Object.entries(row.payrollByHire).forEach(([hireId, cost]) => {
+        const roleTitle = titleByHireId[hireId]
+        if (roleSpending[roleTitle]) {
+          roleSpending[roleTitle] += cost
+        } else {
+          roleSpending[roleTitle] = cost
+        }
+      })
     })
   }
 
@@ -138,7 +141,7 @@ function RoleSpendingPieChart({ scenario, currency }) {
       }}
     >
       <h2 style={{ marginBottom: '1rem', textAlign: 'center', fontWeight: 700, fontSize: '1.25rem' }}>
-        Spending by Role
+        {scenario?.redaction?.groupBy === 'department' ? 'Spending by Department' : 'Spending by Role'}
       </h2>
       <div style={{ width: '100%', height: 400 }}>
         <ResponsiveContainer width="100%" height="100%">
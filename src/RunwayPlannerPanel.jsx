@@ -0,0 +1,149 @@
+import { useState } from 'react'
+import { planRunwayExtension } from './engine/runwayPlanner.js'
+
+const kindLabels = {
+  drop_cost: 'Cut cost',
+  delay_hire: 'Delay hire',
+  reduce_headcount: 'Reduce headcount',
+  combined: 'Combined plan',
+}
+
+function RunwayPlannerPanel({ scenario, fixedCostIds, previewId, onPreview, onApply }) {
+  const [targetRunwayMonths, setTargetRunwayMonths] = useState(18)
+
+  // Planning re-runs the engine hundreds of times, so it only runs when asked.
+  // Proposals built for an earlier version of the plan or target are dropped.
+  const [plan, setPlan] = useState(null)
+  const proposals =
+    plan && plan.scenario === scenario && plan.targetRunwayMonths === targetRunwayMonths ? plan.proposals : null
+
+  function handleFindCuts() {
+    setPlan({ scenario, targetRunwayMonths, proposals: planRunwayExtension(scenario, targetRunwayMonths, { fixedCostIds }) })
+  }
+
+  const buttonStyle = {
+    padding: '0.25rem 0.6rem',
+    borderRadius: '4px',
+    fontSize: '0.75rem',
+    fontWeight: 600,
+    cursor: 'pointer',
+  }
+
+  return (
+    <div
+      style={{
+        backgroundColor: '#ffffff',
+        border: '2px solid #000000',
+        borderRadius: '12px',
+        padding: '1.25rem',
+        boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
+      }}
+    >
+      <h3 style={{ margin: '0 0 0.25rem 0', fontSize: '1.2rem', fontWeight: 700, color: '#000000' }}>
+        Extend Runway
+      </h3>
+      <p style={{ margin: '0 0 1rem 0', fontSize: '0.8rem', color: '#6b7280' }}>
+        Cuts that reach the target with the least headcount lost
+      </p>
+
+      <label
+        style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          fontSize: '0.85rem',
+          marginBottom: '1rem',
+        }}
+      >
+        <span>Target runway (months)</span>
+        <input
+          type="number"
+          min="1"
+          max="60"
+          value={targetRunwayMonths}
+          onChange={(e) => setTargetRunwayMonths(Math.max(1, Math.min(60, Number(e.target.value) || 1)))}
+          style={{
+            width: '70px',
+            padding: '0.3rem 0.4rem',
+            borderRadius: '4px',
+            border: '1px solid #ccc',
+            fontSize: '0.85rem',
+            textAlign: 'center',
+          }}
+        />
+      </label>
+
+      {proposals === null ? (
+        <button
+          onClick={handleFindCuts}
+          style={{ ...buttonStyle, width: '100%', border: '1px solid #1a73e8', backgroundColor: '#1a73e8', color: '#ffffff' }}
+        >
+          Find cuts
+        </button>
+      ) : proposals.length === 0 ? (
+        <div style={{ borderTop: '1px solid #e5e7eb', paddingTop: '1rem', fontSize: '0.9rem', color: '#065f46' }}>
+          This plan already has {targetRunwayMonths} months of runway.
+        </div>
+      ) : (
+        <div style={{ borderTop: '1px solid #e5e7eb', paddingTop: '0.75rem' }}>
+          {proposals.map((proposal) => {
+            const isPreviewing = proposal.id === previewId
+            return (
+              <div
+                key={proposal.id}
+                style={{
+                  padding: '0.6rem',
+                  marginBottom: '0.5rem',
+                  borderRadius: '6px',
+                  border: isPreviewing ? '1px solid #1a73e8' : '1px solid #e5e7eb',
+                  backgroundColor: isPreviewing ? '#f8fbff' : '#ffffff',
+                }}
+              >
+                <div style={{ fontSize: '0.7rem', fontWeight: 600, color: '#6b7280', textTransform: 'uppercase' }}>
+                  {kindLabels[proposal.kind]}
+                </div>
+                <div style={{ fontSize: '0.85rem', color: '#000000', margin: '0.2rem 0' }}>
+                  {proposal.description}
+                </div>
+                <div
+                  style={{
+                    fontSize: '0.75rem',
+                    color: proposal.reachesTarget ? '#065f46' : '#b45309',
+                    marginBottom: '0.4rem',
+                  }}
+                >
+                  {proposal.runwayMonths == null ? 'No cash-out' : `${proposal.runwayMonths} months runway`}
+                  {proposal.reachesTarget ? '' : ' (short of target)'}
+                  {proposal.headcountMonthsLost > 0 && ` · ${proposal.headcountMonthsLost} headcount-months lost`}
+                </div>
+                <div style={{ display: 'flex', gap: '0.4rem' }}>
+                  <button
+                    onClick={() => onPreview(isPreviewing ? null : proposal)}
+                    style={{
+                      ...buttonStyle,
+                      border: '1px solid #1a73e8',
+                      backgroundColor: isPreviewing ? '#ffffff' : '#1a73e8',
+                      color: isPreviewing ? '#1a73e8' : '#ffffff',
+                    }}
+                  >
+                    {isPreviewing ? 'Stop preview' : 'Preview'}
+                  </button>
+                  {isPreviewing && (
+                    <button
+                      onClick={() => onApply(proposal)}
+                      style={{ ...buttonStyle, border: '1px solid #10b981', backgroundColor: '#10b981', color: '#ffffff' }}
+                    >
+                      Apply
+                    </button>
+                  )}
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RunwayPlannerPanel
@@ -0,0 +1,230 @@
+import { useState } from 'react'
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  CartesianGrid,
+  ResponsiveContainer,
+  ReferenceLine,
+  Legend,
+} from 'recharts'
+import { runBurnRate, estimateRunway } from './engine'
+
+const MIN_SCENARIOS = 2
+const MAX_SCENARIOS = 4
+
+// One line colour per compared scenario, in selection order
+const SERIES_COLORS = ['#ec4899', '#1a73e8', '#10b981', '#f59e0b']
+
+const cellStyle = {
+  borderBottom: '1px solid #eee',
+  padding: '0.5rem',
+  textAlign: 'center',
+}
+
+const headerStyle = {
+  borderBottom: '1px solid #444',
+  padding: '0.5rem',
+  textAlign: 'center',
+}
+
+// Compare 2-4 scenarios: overlaid closing cash and a table of key numbers
+// against the first scenario picked
+function ScenarioComparison({ scenarios }) {
+  const [selectedIds, setSelectedIds] = useState(() =>
+    scenarios.slice(0, 3).map((scenario) => scenario.id)
+  )
+
+  function handleToggle(scenarioId) {
+    setSelectedIds((prev) =>
+      prev.includes(scenarioId) ? prev.filter((id) => id !== scenarioId) : [...prev, scenarioId]
+    )
+  }
+
+  const compared = selectedIds
+    .map((id) => scenarios.find((scenario) => scenario.id === id))
+    .filter(Boolean)
+    .map((scenario, index) => {
+      const burnResult = runBurnRate(scenario)
+      const lastRow = burnResult.monthly[burnResult.monthly.length - 1]
+      return {
+        scenario,
+        color: SERIES_COLORS[index],
+        burnResult,
+        runway: estimateRunway(burnResult),
+        endingHeadcount: lastRow ? lastRow.activeHires : 0,
+      }
+    })
+
+  const longestProjection = Math.max(0, ...compared.map(({ scenario }) => scenario.projectionMonths))
+  const chartData = Array.from({ length: longestProjection }, (_, monthIndex) => {
+    const point = { month: monthIndex + 1 }
+    compared.forEach(({ scenario, burnResult }) => {
+      const row = burnResult.monthly[monthIndex]
+      point[scenario.id] = row ? Math.round(row.closingCash) : null
+    })
+    return point
+  })
+
+  const baseline = compared[0]
+  const currency = baseline ? baseline.scenario.currency : ''
+  const formatCurrency = (value) => `${currency} ${Math.round(value).toLocaleString()}`
+  const formatDelta = (value, format) => {
+    if (Math.round(value) === 0) return '—'
+    return `${value > 0 ? '+' : '−'}${format(Math.abs(value))}`
+  }
+  const formatRunway = (runway) =>
+    runway.hasRunwayEnd ? `${runway.runwayMonths} months` : 'Beyond projection'
+
+  const metrics = [
+    {
+      label: 'Runway',
+      value: ({ runway }) => formatRunway(runway),
+      // Runway only has a delta when both plans run out of cash
+      delta: (item) =>
+        item.runway.hasRunwayEnd && baseline.runway.hasRunwayEnd
+          ? formatDelta(item.runway.runwayMonths - baseline.runway.runwayMonths, (v) => `${v} mo`)
+          : '—',
+    },
+    {
+      label: 'Ending cash',
+      value: ({ burnResult }) => formatCurrency(burnResult.summary.endingCash),
+      delta: (item) =>
+        formatDelta(item.burnResult.summary.endingCash - baseline.burnResult.summary.endingCash, formatCurrency),
+    },
+    {
+      label: 'Total payroll',
+      value: ({ burnResult }) => formatCurrency(burnResult.summary.totalPayrollCost),
+      delta: (item) =>
+        formatDelta(
+          item.burnResult.summary.totalPayrollCost - baseline.burnResult.summary.totalPayrollCost,
+          formatCurrency
+        ),
+    },
+    {
+      label: 'Ending headcount',
+      value: ({ endingHeadcount }) => endingHeadcount,
+      delta: (item) => formatDelta(item.endingHeadcount - baseline.endingHeadcount, (v) => v),
+    },
+  ]
+
+  return (
+    <div style={{ marginTop: '2rem', marginBottom: '2rem' }}>
+      <h2 style={{ fontWeight: '700', fontSize: '2rem', marginBottom: '0.5rem' }}>Compare scenarios</h2>
+      <p style={{ fontSize: '0.9rem', color: '#6b7280', marginTop: 0 }}>
+        Pick {MIN_SCENARIOS} to {MAX_SCENARIOS} scenarios. Differences are shown against the first one picked.
+      </p>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem 1.25rem', marginBottom: '1.5rem' }}>
+        {scenarios.map((scenario) => {
+          const isSelected = selectedIds.includes(scenario.id)
+          const isDisabled = !isSelected && selectedIds.length >= MAX_SCENARIOS
+          return (
+            <label
+              key={scenario.id}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.4rem',
+                fontSize: '0.9rem',
+                color: isDisabled ? '#9ca3af' : '#000000',
+                cursor: isDisabled ? 'not-allowed' : 'pointer',
+              }}
+            >
+              <input
+                type="checkbox"
+                checked={isSelected}
+                disabled={isDisabled}
+                onChange={() => handleToggle(scenario.id)}
+              />
+              {scenario.name}
+            </label>
+          )
+        })}
+      </div>
+
+      {compared.length < MIN_SCENARIOS ? (
+        <div style={{ padding: '1rem', border: '1px dashed #ccc', borderRadius: '8px', color: '#6b7280' }}>
+          Pick at least {MIN_SCENARIOS} scenarios to compare.
+        </div>
+      ) : (
+        <>
+          <div style={{ width: '100%', height: 400 }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={chartData} margin={{ top: 20, right: 20, left: 20, bottom: 20 }}>
+                <CartesianGrid stroke="#e0e0e0" />
+                <XAxis
+                  dataKey="month"
+                  tickLine={false}
+                  label={{ value: 'Month', position: 'insideBottom', offset: -15 }}
+                />
+                <YAxis tickLine={false} tickFormatter={(value) => Number(value).toLocaleString()} width={80} />
+                <Tooltip formatter={(value) => (value === null ? null : formatCurrency(value))} />
+                <Legend verticalAlign="top" />
+                <ReferenceLine y={0} stroke="#ef4444" strokeWidth={1} />
+                {compared.map(({ scenario, color }) => (
+                  <Line
+                    key={scenario.id}
+                    type="monotone"
+                    dataKey={scenario.id}
+                    name={scenario.name}
+                    stroke={color}
+                    strokeWidth={3}
+                    dot={false}
+                    connectNulls={false}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div style={{ overflowX: 'auto', marginTop: '2rem' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+              <thead>
+                <tr>
+                  <th style={headerStyle}>Scenario</th>
+                  {metrics.map((metric) => (
+                    <th key={metric.label} style={headerStyle}>
+                      {metric.label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {compared.map((item, index) => (
+                  <tr key={item.scenario.id}>
+                    <td style={{ ...cellStyle, textAlign: 'left', fontWeight: 600 }}>
+                      <span
+                        style={{
+                          display: 'inline-block',
+                          width: '10px',
+                          height: '10px',
+                          borderRadius: '2px',
+                          backgroundColor: item.color,
+                          marginRight: '0.5rem',
+                        }}
+                      />
+                      {item.scenario.name}
+                    </td>
+                    {metrics.map((metric) => (
+                      <td key={metric.label} style={cellStyle}>
+                        {metric.value(item)}
+                        {index > 0 && (
+                          <div style={{ fontSize: '0.75rem', color: '#6b7280' }}>{metric.delta(item)}</div>
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ScenarioComparison
@@ -0,0 +1,268 @@
+import { useState } from 'react'
+import { defaultEmployerCostTable, describeMonth, financingTypes, locationTiers } from './engine'
+import { diffScenarios } from './engine/scenarioDiff.js'
+
+const HIRE_FIELD_LABELS = {
+  endMonth: 'Last month',
+  endDate: 'Last day',
+  departure: 'Departure',
+  location: 'Location',
+  country: 'Employer costs',
+}
+
+const COST_FIELD_LABELS = {
+  label: 'Name',
+  monthlyAmount: 'Amount',
+  startMonth: 'Start month',
+  endMonth: 'End month',
+  startDate: 'Start date',
+  endDate: 'End date',
+  isOneTime: 'One-time',
+}
+
+const REVENUE_FIELD_LABELS = {
+  label: 'Name',
+  startingMrr: 'Starting MRR',
+  monthlyGrowthRate: 'Monthly growth',
+  monthlyChurnRate: 'Monthly churn',
+  startMonth: 'Start month',
+}
+
+const FINANCING_FIELD_LABELS = {
+  label: 'Name',
+  type: 'Type',
+  amount: 'Amount',
+  month: 'Month',
+  committed: 'Committed',
+  annualInterestRate: 'Interest rate',
+}
+
+const MONEY_FIELDS = ['startingCash', 'monthlyAmount', 'startingMrr', 'amount']
+const MONTH_FIELDS = ['startMonth', 'endMonth', 'month']
+const RATE_FIELDS = ['monthlyGrowthRate', 'monthlyChurnRate', 'annualInterestRate']
+
+const listStyle = {
+  margin: '0.25rem 0 0.75rem 0',
+  paddingLeft: '1.25rem',
+  fontSize: '0.85rem',
+  lineHeight: 1.6,
+}
+
+const sectionTitleStyle = {
+  margin: '0.75rem 0 0 0',
+  fontSize: '0.9rem',
+  fontWeight: 600,
+}
+
+const formatCurrency = (scenario, value) => `${scenario.currency} ${Math.round(value).toLocaleString()}`
+
+// Month indices only mean something against the scenario they came from, so
+// each side of a change is labelled with its own plan
+const monthLabel = (scenario, monthIndex) =>
+  monthIndex == null ? 'none' : describeMonth(scenario, monthIndex).label
+
+const formatStart = (scenario, monthIndex, date) => date || monthLabel(scenario, monthIndex)
+
+function formatDeparture(departure) {
+  const type = departure.type === 'layoff' ? 'Layoff' : 'Voluntary'
+  return `${type}, ${departure.severanceWeeks ?? 0} weeks severance, ${departure.accruedPtoDays ?? 0} PTO days`
+}
+
+function formatValue(scenario, field, value) {
+  if (value == null) return 'not set'
+  if (MONEY_FIELDS.includes(field)) return formatCurrency(scenario, value)
+  if (MONTH_FIELDS.includes(field)) return monthLabel(scenario, value)
+  if (RATE_FIELDS.includes(field)) return `${Math.round(value * 1000) / 10}%`
+  if (typeof value === 'boolean') return value ? 'yes' : 'no'
+  if (field === 'departure') return formatDeparture(value)
+  if (field === 'location') return locationTiers.find((tier) => tier.id === value)?.label || value
+  if (field === 'type') return financingTypes.find((type) => type.id === value)?.label || value
+  if (field === 'country') {
+    const table = { ...defaultEmployerCostTable, ...(scenario.employerCostTable || {}) }
+    return Object.hasOwn(table, value) ? table[value].label : value
+  }
+  return String(value)
+}
+
+const hasAny = (lists) => lists.some((list) => list.length > 0)
+
+// Shows what changed between the displayed scenario and another one the user picks
+function ScenarioDiffView({ scenario, candidates }) {
+  const [baseId, setBaseId] = useState('')
+
+  const others = candidates.filter((candidate) => candidate.id !== scenario.id)
+  const base = others.find((candidate) => candidate.id === baseId)
+  const diff = base ? diffScenarios(base, scenario) : null
+
+  const formatRunway = (runway) =>
+    runway.hasRunwayEnd ? `${runway.runwayMonths} months` : 'no cash-out within projection'
+
+  const describeChanges = (changes, labels) =>
+    changes
+      .map(
+        ({ field, from, to }) =>
+          `${labels[field]} ${formatValue(base, field, from)} → ${formatValue(scenario, field, to)}`
+      )
+      .join(', ')
+
+  return (
+    <div className="card" style={{ marginTop: '1.5rem' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', flexWrap: 'wrap' }}>
+        <h3 style={{ margin: 0, fontSize: '1.1rem', fontWeight: 700 }}>What changed</h3>
+        <span style={{ fontSize: '0.9rem', color: '#374151' }}>compared with</span>
+        <select
+          value={baseId}
+          onChange={(e) => setBaseId(e.target.value)}
+          style={{ padding: '0.3rem 0.5rem', borderRadius: '4px', border: '1px solid #ccc', fontSize: '0.85rem' }}
+        >
+          <option value="">Pick a scenario</option>
+          {others.map((candidate) => (
+            <option key={candidate.id} value={candidate.id}>
+              {candidate.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {diff && (
+        <div style={{ marginTop: '1rem', textAlign: 'left' }}>
+          <p style={{ margin: 0, fontSize: '0.9rem' }}>
+            <strong>Runway:</strong> {formatRunway(diff.runway.before)} → {formatRunway(diff.runway.after)}
+            {diff.runway.deltaMonths != null && diff.runway.deltaMonths !== 0 && (
+              <span style={{ color: diff.runway.deltaMonths > 0 ? '#065f46' : '#ef4444', fontWeight: 600 }}>
+                {' '}
+                ({diff.runway.deltaMonths > 0 ? '+' : ''}
+                {diff.runway.deltaMonths} months)
+              </span>
+            )}
+          </p>
+
+          {!diff.hasChanges && (
+            <p style={{ fontSize: '0.85rem', color: '#6b7280' }}>The two scenarios have the same inputs.</p>
+          )}
+
+          {diff.fields.length > 0 && (
+            <>
+              <h4 style={sectionTitleStyle}>Settings</h4>
+              <ul style={listStyle}>
+                {diff.fields.map(({ field, label, from, to }) => (
+                  <li key={field}>
+                    {label}: {formatValue(base, field, from)} → {formatValue(scenario, field, to)}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          {hasAny(Object.values(diff.hires)) && (
+            <>
+              <h4 style={sectionTitleStyle}>Hires</h4>
+              <ul style={listStyle}>
+                {diff.hires.added.map((hire) => (
+                  <li key={`added_${hire.id}`} style={{ color: '#065f46' }}>
+                    Added {hire.title}, starting {formatStart(scenario, hire.startMonth, hire.startDate)}
+                  </li>
+                ))}
+                {diff.hires.removed.map((hire) => (
+                  <li key={`removed_${hire.id}`} style={{ color: '#ef4444' }}>
+                    Removed {hire.title} (was starting {formatStart(base, hire.startMonth, hire.startDate)})
+                  </li>
+                ))}
+                {diff.hires.moved.map(({ hire, fromMonth, toMonth, fromDate, toDate }) => (
+                  <li key={`moved_${hire.id}`}>
+                    Moved {hire.title}: {formatStart(base, fromMonth, fromDate)} →{' '}
+                    {formatStart(scenario, toMonth, toDate)}
+                  </li>
+                ))}
+                {diff.hires.salaryChanged.map(({ hire, from, to }) => (
+                  <li key={`salary_${hire.id}`}>
+                    {hire.title} salary: {formatCurrency(base, from)} → {formatCurrency(scenario, to)}
+                  </li>
+                ))}
+                {diff.hires.changed.map(({ hire, changes }) => (
+                  <li key={`changed_${hire.id}`}>
+                    {hire.title}: {describeChanges(changes, HIRE_FIELD_LABELS)}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          {hasAny(Object.values(diff.costs)) && (
+            <>
+              <h4 style={sectionTitleStyle}>Costs</h4>
+              <ul style={listStyle}>
+                {diff.costs.added.map((cost) => (
+                  <li key={`added_${cost.id}`} style={{ color: '#ef4444' }}>
+                    Added {cost.label}: {formatCurrency(scenario, cost.monthlyAmount)}
+                    {cost.isOneTime ? ' one-time' : '/month'}
+                  </li>
+                ))}
+                {diff.costs.removed.map((cost) => (
+                  <li key={`removed_${cost.id}`} style={{ color: '#065f46' }}>
+                    Removed {cost.label}
+                  </li>
+                ))}
+                {diff.costs.changed.map(({ item: cost, changes }) => (
+                  <li key={`changed_${cost.id}`}>
+                    {cost.label}: {describeChanges(changes, COST_FIELD_LABELS)}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          {hasAny(Object.values(diff.revenueStreams)) && (
+            <>
+              <h4 style={sectionTitleStyle}>Revenue</h4>
+              <ul style={listStyle}>
+                {diff.revenueStreams.added.map((stream) => (
+                  <li key={`added_${stream.id}`} style={{ color: '#065f46' }}>
+                    Added {stream.label}: {formatCurrency(scenario, stream.startingMrr)} MRR from{' '}
+                    {monthLabel(scenario, stream.startMonth)}
+                  </li>
+                ))}
+                {diff.revenueStreams.removed.map((stream) => (
+                  <li key={`removed_${stream.id}`} style={{ color: '#ef4444' }}>
+                    Removed {stream.label}
+                  </li>
+                ))}
+                {diff.revenueStreams.changed.map(({ item: stream, changes }) => (
+                  <li key={`changed_${stream.id}`}>
+                    {stream.label}: {describeChanges(changes, REVENUE_FIELD_LABELS)}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          {hasAny(Object.values(diff.financingEvents)) && (
+            <>
+              <h4 style={sectionTitleStyle}>Funding</h4>
+              <ul style={listStyle}>
+                {diff.financingEvents.added.map((event) => (
+                  <li key={`added_${event.id}`} style={{ color: '#065f46' }}>
+                    Added {event.label}: {formatCurrency(scenario, event.amount)} in {monthLabel(scenario, event.month)}
+                    {event.committed ? '' : ' (not committed)'}
+                  </li>
+                ))}
+                {diff.financingEvents.removed.map((event) => (
+                  <li key={`removed_${event.id}`} style={{ color: '#ef4444' }}>
+                    Removed {event.label}
+                  </li>
+                ))}
+                {diff.financingEvents.changed.map(({ item: event, changes }) => (
+                  <li key={`changed_${event.id}`}>
+                    {event.label}: {describeChanges(changes, FINANCING_FIELD_LABELS)}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ScenarioDiffView
@@ -0,0 +1,52 @@
+// Explains why a shared or saved scenario couldn't be loaded, field by field,
+// so a bad link shows what went wrong instead of an empty dashboard
+function ScenarioLoadErrors({ problems, onDismiss }) {
+  if (!problems || problems.length === 0) return null
+
+  return (
+    <div
+      style={{
+        marginBottom: '2rem',
+        padding: '1rem 1.25rem',
+        border: '1px solid #ef4444',
+        borderRadius: '8px',
+        backgroundColor: '#fef2f2',
+        color: '#7f1d1d',
+        textAlign: 'left',
+      }}
+    >
+      {problems.map((problem) => (
+        <div key={problem.key} style={{ marginBottom: '0.75rem' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
+            <strong style={{ fontSize: '0.95rem' }}>{problem.title}</strong>
+            <button
+              onClick={() => onDismiss(problem.key)}
+              style={{
+                padding: '0.25rem 0.6rem',
+                borderRadius: '4px',
+                border: '1px solid #ef4444',
+                backgroundColor: '#ffffff',
+                color: '#b91c1c',
+                fontSize: '0.8rem',
+                fontWeight: 600,
+                cursor: 'pointer',
+                flexShrink: 0,
+              }}
+            >
+              {problem.actionLabel}
+            </button>
+          </div>
+          <ul style={{ margin: '0.4rem 0 0 0', paddingLeft: '1.25rem', fontSize: '0.85rem', lineHeight: 1.6 }}>
+            {problem.errors.map((error) => (
+              <li key={`${error.path}:${error.message}`}>
+                <code>{error.path}</code> {error.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default ScenarioLoadErrors
@@ -11,8 +11,12 @@ import {
 // Color palette for the spending categories
 const CATEGORY_COLORS = {
   headcount: '#3b82f6', // blue
+  hiring: '#f59e0b', // amber
+  commissions: '#06b6d4', // cyan
+  exits: '#f97316', // orange
   fixedNonHeadcount: '#ef4444', // red
   recurringNonHeadcount: '#10b981', // green
+  interest: '#64748b', // slate
   warpSavings: '#8b5cf6', // purple
 }
 
@@ -89,27 +93,33 @@ function SpendingCategoryPieChart({ scenario, burnResult, currency }) {
 
   const formatCurrency = (value) => `${currency} ${Number(value).toLocaleString()}`
 
-  // Get total headcount spending from the summary
+  // Get total headcount, commission, exit, one-time hiring and debt interest spending from the summary
   const totalHeadcount = burnResult.summary?.totalPayrollCost || 0
+  const totalHiring = burnResult.summary?.totalHiringCost || 0
+  const totalCommissions = burnResult.summary?.totalCommissionCost || 0
+  const totalExits = burnResult.summary?.totalExitCost || 0
+  const totalInterest = burnResult.summary?.totalInterestCost || 0
 
-  // Calculate fixed (one-time) and recurring non-headcount costs
+  // Split the engine's per-cost amounts into fixed (one-time) and recurring,
+  // so prorated start and end dates are reflected
   let totalFixedNonHeadcount = 0
   let totalRecurringNonHeadcount = 0
 
-  if (scenario.nonHeadcountCosts) {
-    scenario.nonHeadcountCosts.forEach((cost) => {
-      if (cost.isOneTime) {
-        // One-time costs are applied only once
-        totalFixedNonHeadcount += cost.monthlyAmount
+  const costsById = {}
+  const costs = scenario.nonHeadcountCosts || []
+  costs.forEach((cost) => {
+    costsById[cost.id] = cost
+  })
+
+  burnResult.monthly.forEach((row) => {
+    Object.entries(row.nonHeadcountByCost).forEach(([costId, amount]) => {
+      if (costsById[costId]?.isOneTime) {
+        totalFixedNonHeadcount += amount
       } else {
-        // Recurring costs: calculate total over active months
-        const startMonth = cost.startMonth || 0
-        const endMonth = cost.endMonth != null ? cost.endMonth : (scenario.projectionMonths || 12) - 1
-        const activeMonths = Math.max(0, Math.min(endMonth, (scenario.projectionMonths || 12) - 1) - startMonth + 1)
-        totalRecurringNonHeadcount += cost.monthlyAmount * activeMonths
+        totalRecurringNonHeadcount += amount
       }
     })
-  }
+  })
 
   // Prepare data for pie chart
   let data = [
@@ -118,6 +128,21 @@ function SpendingCategoryPieChart({ scenario, burnResult, currency }) {
       value: Math.round(totalHeadcount),
       color: CATEGORY_COLORS.headcount,
     },
+    {
+      name: 'Commissions',
+      value: Math.round(totalCommissions),
+      color: CATEGORY_COLORS.commissions,
+    },
+    {
+      name: 'Severance & PTO',
+      value: Math.round(totalExits),
+      color: CATEGORY_COLORS.exits,
+    },
+    {
+      name: 'Hiring Costs',
+      value: Math.round(totalHiring),
+      color: CATEGORY_COLORS.hiring,
+    },
     {
       name: 'Fixed Non-Headcount',
       value: Math.round(totalFixedNonHeadcount),
@@ -128,6 +153,11 @@ function SpendingCategoryPieChart({ scenario, burnResult, currency }) {
       value: Math.round(totalRecurringNonHeadcount),
       color: CATEGORY_COLORS.recurringNonHeadcount,
     },
+    {
+      name: 'Debt Interest',
+      value: Math.round(totalInterest),
+      color: CATEGORY_COLORS.interest,
+    },
   ]
 
   // Add Warp Savings slice if toggle is on
@@ -0,0 +1,121 @@
+import { useMemo, useState } from 'react'
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  Tooltip,
+  CartesianGrid,
+  ResponsiveContainer,
+  ReferenceLine,
+} from 'recharts'
+import { analyzeSensitivity } from './engine/sensitivity.js'
+import { useDebouncedValue } from './useDebouncedValue.js'
+
+// Only the drivers that move runway the most are worth a bar
+const MAX_DRIVERS = 10
+
+const formatMonths = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)} mo`
+
+// Custom tooltip component - defined outside to avoid creating during render
+const TornadoTooltip = ({ active, payload }) => {
+  if (active && payload && payload.length) {
+    const driver = payload[0].payload
+    return (
+      <div
+        style={{
+          backgroundColor: '#fff',
+          padding: '0.5rem',
+          border: '1px solid #ccc',
+          borderRadius: '4px',
+          boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+          fontSize: '0.85rem',
+        }}
+      >
+        <p style={{ margin: 0, fontWeight: 600 }}>{driver.label}</p>
+        <p style={{ margin: '0.25rem 0 0', color: '#666' }}>
+          {driver.lowLabel}: {driver.lowRunwayMonths.toFixed(1)} months ({formatMonths(driver.lowDelta)})
+        </p>
+        <p style={{ margin: '0.25rem 0 0', color: '#666' }}>
+          {driver.highLabel}: {driver.highRunwayMonths.toFixed(1)} months ({formatMonths(driver.highDelta)})
+        </p>
+      </div>
+    )
+  }
+  return null
+}
+
+function TornadoChart({ scenario }) {
+  const [perturbationPercent, setPerturbationPercent] = useState(10)
+
+  // Each driver re-runs the engine twice, so only recompute once edits to the plan pause
+  const analyzedScenario = useDebouncedValue(scenario, 400)
+  const analysis = useMemo(
+    () => analyzeSensitivity(analyzedScenario, { perturbation: perturbationPercent / 100 }),
+    [analyzedScenario, perturbationPercent]
+  )
+
+  const data = analysis.drivers.slice(0, MAX_DRIVERS).map((driver) => ({
+    ...driver,
+    lowDelta: driver.lowRunwayMonths - analysis.baselineRunwayMonths,
+    highDelta: driver.highRunwayMonths - analysis.baselineRunwayMonths,
+  }))
+
+  const baselineLabel =
+    analysis.baselineRunwayMonths >= analysis.horizonMonths
+      ? `${analysis.horizonMonths}+ months`
+      : `${analysis.baselineRunwayMonths.toFixed(1)} months`
+
+  return (
+    <div
+      style={{
+        width: '100%',
+        padding: '0 2rem',
+        marginTop: '2rem',
+        marginBottom: '2rem',
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem' }}>
+        <h2 style={{ margin: 0, fontWeight: 700, fontSize: '1.25rem' }}>What moves runway</h2>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.9rem', color: '#000000' }}>
+          <span>Change each input by ±</span>
+          <input
+            type="number"
+            min="1"
+            max="50"
+            value={perturbationPercent}
+            onChange={(e) => setPerturbationPercent(Math.max(1, Math.min(50, Number(e.target.value) || 1)))}
+            style={{
+              width: '60px',
+              padding: '0.3rem 0.4rem',
+              borderRadius: '4px',
+              border: '1px solid #ccc',
+              fontSize: '0.85rem',
+              textAlign: 'center',
+            }}
+          />
+          <span>%</span>
+        </label>
+      </div>
+      <p style={{ margin: '0 0 0.5rem 0', fontSize: '0.85rem', color: '#6b7280' }}>
+        Change in runway from a baseline of {baselineLabel}. Green bars lower the input (or start the
+        hire earlier), red bars raise it (or start the hire later).
+      </p>
+      <div style={{ width: '100%', height: Math.max(200, data.length * 36 + 60) }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={data} layout="vertical" stackOffset="sign" margin={{ top: 10, right: 20, left: 20, bottom: 10 }}>
+            <CartesianGrid stroke="#e0e0e0" horizontal={false} />
+            <XAxis type="number" tickFormatter={formatMonths} />
+            <YAxis type="category" dataKey="label" width={200} tickLine={false} />
+            <Tooltip content={<TornadoTooltip />} />
+            <ReferenceLine x={0} stroke="#000000" />
+            <Bar dataKey="lowDelta" stackId="swing" fill="#10b981" />
+            <Bar dataKey="highDelta" stackId="swing" fill="#ef4444" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  )
+}
+
+export default TornadoChart
@@ -1,10 +1,12 @@
 import { useState, useEffect, useRef } from 'react'
 import {
   availableRoles,
+  baseAnnualSalary,
   runBurnRate,
   estimateRunway,
 } from './engine'
 import { predictOutcome } from './engine/ai.js'
+import { buildAppUrl, buildLongShareLink, createShareLink } from './engine/shareLinks.js'
 import CashRunwayChart from './CashRunwayChart.jsx'
 import AirplaneAnimation from './AirplaneAnimation.jsx'
 import jsPDF from 'jspdf'
@@ -291,6 +293,16 @@ Plan your startup's growth: [link]`
     setIsPredicting(false)
   }
 
+  // Scenario as shared from viral mode, including the company details and prediction
+  const buildViralShareScenario = () => ({
+    ...localScenario,
+    id: 'shared',
+    name: localScenario.name || 'Shared Scenario',
+    companyName: companyName,
+    companySummary: companySummary,
+    prediction: prediction,
+  })
+
   const handleExportViralPDF = async () => {
     if (!prediction || !pdfExportRef.current) {
       alert('Please generate a prediction first! 🔮')
@@ -298,20 +310,9 @@ Plan your startup's growth: [link]`
     }
 
     try {
-      // Generate shareable links
-      const shareableScenario = {
-        ...localScenario,
-        id: 'shared',
-        name: localScenario.name || 'Shared Scenario',
-        // Include viral mode specific data
-        companyName: companyName,
-        companySummary: companySummary,
-        prediction: prediction,
-      }
-      const scenarioJson = JSON.stringify(shareableScenario)
-      const encoded = encodeURIComponent(scenarioJson)
-      const shareUrl = `${window.location.origin}${window.location.pathname}?mode=viral&scenario=${encoded}`
-      const viralModeUrl = `${window.location.origin}${window.location.pathname}?mode=viral`
+      // Generate shareable links (short link when the server is up)
+      const shareUrl = await createShareLink(buildViralShareScenario(), { mode: 'viral' })
+      const viralModeUrl = buildAppUrl({ mode: 'viral' })
       const warpUrl = 'https://www.joinwarp.com/integrations'
 
       const pdf = new jsPDF('p', 'mm', 'a4')
@@ -1257,7 +1258,7 @@ Plan your startup's growth: [link]`
                       >
                         <div style={{ fontWeight: 600 }}>👤 {hire.title}</div>
                         <div style={{ fontSize: '0.75rem', color: '#6b7280' }}>
-                          {currentScenario.currency} {hire.annualSalary.toLocaleString()}/yr
+                          {currentScenario.currency} {baseAnnualSalary(hire).toLocaleString()}/yr
                         </div>
                       </div>
                     ))}
@@ -1418,17 +1419,15 @@ Plan your startup's growth: [link]`
             Copy this link to share your exact scenario with others
           </p>
           <button
-            onClick={() => {
+            onClick={async () => {
               // Generate shareable link for current scenario
               const shareableScenario = {
                 ...currentScenario,
                 id: 'shared',
                 name: currentScenario.name || 'Shared Scenario',
               }
-              const scenarioJson = JSON.stringify(shareableScenario)
-              const encoded = encodeURIComponent(scenarioJson)
-              const shareUrl = `${window.location.origin}${window.location.pathname}?scenario=${encoded}`
-              
+              const shareUrl = await createShareLink(shareableScenario)
+
               navigator.clipboard.writeText(shareUrl).then(() => {
                 alert('✅ Shareable link copied! Share this URL with others.')
               }).catch(() => {
@@ -1544,20 +1543,9 @@ Plan your startup's growth: [link]`
       }}>
         {/* Viral Shareable Elements */}
         {(() => {
-          // Generate shareable link for current scenario
-          const shareableScenario = {
-            ...localScenario,
-            id: 'shared',
-            name: localScenario.name || 'Shared Scenario',
-            // Include viral mode specific data
-            companyName: companyName,
-            companySummary: companySummary,
-            prediction: prediction,
-          }
-          const scenarioJson = JSON.stringify(shareableScenario)
-          const encoded = encodeURIComponent(scenarioJson)
-          const shareUrl = `${window.location.origin}${window.location.pathname}?mode=viral&scenario=${encoded}`
-          const viralModeUrl = `${window.location.origin}${window.location.pathname}?mode=viral`
+          // Self-contained link for the on-page button; the exported PDF gets a short link instead
+          const shareUrl = buildLongShareLink(buildViralShareScenario(), { mode: 'viral' })
+          const viralModeUrl = buildAppUrl({ mode: 'viral' })
           const warpUrl = 'https://www.joinwarp.com/integrations'
           
           return (
@@ -0,0 +1,269 @@
+import { useEffect, useState } from 'react'
+import {
+  createWorkspace,
+  deleteMember,
+  fetchMembers,
+  putMember,
+  register,
+  signIn,
+  signOut,
+} from './engine/scenarioApi.js'
+
+const ROLE_OPTIONS = ['viewer', 'editor', 'owner']
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '0.35rem 0.5rem',
+  borderRadius: '4px',
+  border: '1px solid #444',
+  backgroundColor: '#111',
+  color: '#fff',
+  fontSize: '0.8rem',
+}
+
+const buttonStyle = {
+  padding: '0.35rem 0.6rem',
+  borderRadius: '4px',
+  border: '1px solid #444',
+  backgroundColor: '#222',
+  color: '#fff',
+  fontSize: '0.75rem',
+  cursor: 'pointer',
+}
+
+const linkButtonStyle = {
+  background: 'none',
+  border: 'none',
+  color: '#999',
+  fontSize: '0.75rem',
+  cursor: 'pointer',
+  padding: 0,
+}
+
+// Sign-in form and workspace picker for the sidebar. Owners can also manage
+// who else is in the workspace.
+function WorkspacePanel({ session, activeWorkspace, onSessionChange, onWorkspaceChange }) {
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [showMembers, setShowMembers] = useState(false)
+  const [members, setMembers] = useState([])
+  const [memberForm, setMemberForm] = useState({ username: '', role: 'editor' })
+
+  const isOwner = activeWorkspace?.role === 'owner'
+  const activeWorkspaceId = activeWorkspace?.id
+
+  useEffect(() => {
+    if (!showMembers || !activeWorkspaceId) return
+    let cancelled = false
+    fetchMembers(activeWorkspaceId)
+      .then((list) => {
+        if (!cancelled) setMembers(list)
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [showMembers, activeWorkspaceId])
+
+  // Session is still being checked, or the server can't be reached
+  if (session === undefined) return null
+
+  async function submitCredentials(action) {
+    setIsSubmitting(true)
+    setError(null)
+    try {
+      const nextSession = await action(username.trim(), password)
+      setPassword('')
+      onSessionChange(nextSession)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  async function handleSignOut() {
+    try {
+      await signOut()
+    } catch (err) {
+      console.error('Failed to sign out on the server:', err)
+    }
+    setShowMembers(false)
+    onSessionChange(null)
+  }
+
+  async function handleNewWorkspace() {
+    const name = window.prompt('Name for the new workspace')?.trim()
+    if (!name) return
+    try {
+      const workspace = await createWorkspace(name)
+      onSessionChange({ ...session, workspaces: [...session.workspaces, workspace] })
+      onWorkspaceChange(workspace.id)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  async function handleSetMember(memberUsername, role) {
+    setError(null)
+    try {
+      await putMember(activeWorkspaceId, memberUsername, role)
+      setMembers(await fetchMembers(activeWorkspaceId))
+      setMemberForm({ username: '', role: 'editor' })
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  async function handleRemoveMember(memberUsername) {
+    if (!window.confirm(`Remove ${memberUsername} from this workspace?`)) return
+    setError(null)
+    try {
+      await deleteMember(activeWorkspaceId, memberUsername)
+      setMembers((prev) => prev.filter((member) => member.username !== memberUsername))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  if (!session) {
+    return (
+      <div style={{ marginBottom: '1rem', display: 'flex', flexDirection: 'column', gap: '0.4rem' }}>
+        <div style={{ fontSize: '0.8rem', color: '#ccc' }}>Sign in to share saved scenarios with your team</div>
+        <input
+          type="text"
+          placeholder="Username"
+          autoComplete="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          style={inputStyle}
+        />
+        <input
+          type="password"
+          placeholder="Password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') submitCredentials(signIn)
+          }}
+          style={inputStyle}
+        />
+        <div style={{ display: 'flex', gap: '0.4rem' }}>
+          <button disabled={isSubmitting} onClick={() => submitCredentials(signIn)} style={buttonStyle}>
+            Sign in
+          </button>
+          <button disabled={isSubmitting} onClick={() => submitCredentials(register)} style={buttonStyle}>
+            Create account
+          </button>
+        </div>
+        {error && <div style={{ fontSize: '0.75rem', color: '#f87171' }}>{error}</div>}
+      </div>
+    )
+  }
+
+  return (
+    <div style={{ marginBottom: '1rem', display: 'flex', flexDirection: 'column', gap: '0.4rem' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '0.8rem' }}>
+        <span style={{ color: '#ccc' }}>{session.user.username}</span>
+        <button onClick={handleSignOut} style={linkButtonStyle}>
+          Sign out
+        </button>
+      </div>
+      <select
+        value={activeWorkspaceId || ''}
+        onChange={(e) => onWorkspaceChange(e.target.value)}
+        style={inputStyle}
+      >
+        {session.workspaces.map((workspace) => (
+          <option key={workspace.id} value={workspace.id}>
+            {workspace.name} ({workspace.role})
+          </option>
+        ))}
+      </select>
+      <div style={{ display: 'flex', gap: '0.75rem' }}>
+        <button onClick={handleNewWorkspace} style={linkButtonStyle}>
+          + New workspace
+        </button>
+        {activeWorkspace && (
+          <button onClick={() => setShowMembers((prev) => !prev)} style={linkButtonStyle}>
+            {showMembers ? 'Hide members' : 'Members'}
+          </button>
+        )}
+      </div>
+      {activeWorkspace?.role === 'viewer' && (
+        <div style={{ fontSize: '0.75rem', color: '#f59e0b' }}>View only: you can't save or delete scenarios here</div>
+      )}
+
+      {showMembers && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '0.3rem', fontSize: '0.8rem' }}>
+          {members.map((member) => (
+            <div key={member.username} style={{ display: 'flex', alignItems: 'center', gap: '0.3rem' }}>
+              <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis' }}>{member.username}</span>
+              {isOwner ? (
+                <>
+                  <select
+                    value={member.role}
+                    onChange={(e) => handleSetMember(member.username, e.target.value)}
+                    style={{ ...inputStyle, width: 'auto' }}
+                  >
+                    {ROLE_OPTIONS.map((role) => (
+                      <option key={role} value={role}>
+                        {role}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => handleRemoveMember(member.username)}
+                    style={linkButtonStyle}
+                    title="Remove from workspace"
+                  >
+                    ✕
+                  </button>
+                </>
+              ) : (
+                <span style={{ color: '#999' }}>{member.role}</span>
+              )}
+            </div>
+          ))}
+          {isOwner && (
+            <div style={{ display: 'flex', gap: '0.3rem' }}>
+              <input
+                type="text"
+                placeholder="Username"
+                value={memberForm.username}
+                onChange={(e) => setMemberForm((prev) => ({ ...prev, username: e.target.value }))}
+                style={inputStyle}
+              />
+              <select
+                value={memberForm.role}
+                onChange={(e) => setMemberForm((prev) => ({ ...prev, role: e.target.value }))}
+                style={{ ...inputStyle, width: 'auto' }}
+              >
+                {ROLE_OPTIONS.map((role) => (
+                  <option key={role} value={role}>
+                    {role}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={() => memberForm.username.trim() && handleSetMember(memberForm.username.trim(), memberForm.role)}
+                style={buttonStyle}
+              >
+                Add
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+      {error && <div style={{ fontSize: '0.75rem', color: '#f87171' }}>{error}</div>}
+    </div>
+  )
+}
+
+export default WorkspacePanel
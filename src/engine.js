@@ -1,12 +1,35 @@
 // Simple MVP engine for headcount and runway calculations
 
 // ----- Data model types (informal, for reference) -----
+// type Promotion = {
+//   month: number         // First month paid at the new salary
+//   annualSalary: number
+//   title?: string
+// }
+//
+// type Departure = {
+//   type: 'voluntary' | 'layoff'
+//   severanceWeeks?: number    // Weeks of base salary paid out on exit
+//   accruedPtoDays?: number    // Unused PTO paid out on exit
+// }
+//
 // type Hire = {
 //   id: string
 //   title: string
 //   annualSalary: number
 //   startMonth: number
 //   endMonth?: number
+//   startDate?: string         // 'YYYY-MM-DD'; in dated plans overrides startMonth and prorates the first month
+//   endDate?: string           // 'YYYY-MM-DD'; last day worked, overrides endMonth and prorates the last month
+//   annualRaiseRate?: number   // Merit increase applied each raise cycle, e.g. 0.03
+//   roleId?: string            // Role from availableRoles; with location, salary comes from its band
+//   location?: string          // Location tier id, e.g. 'uk'
+//   salaryLevel?: 'min' | 'median' | 'max'  // Point in the band, defaults to median
+//   country?: string           // Key into the employer cost table, e.g. 'US-CA', 'GB', 'DE'
+//   hiringCosts?: HiringCosts  // One-time costs in the start month; defaults to the role's
+//   variableComp?: VariableComp  // Commission plan; defaults to the role's
+//   departure?: Departure      // Exit details; the hire leaves at the end of endMonth
+//   promotions?: Promotion[]
 // }
 //
 // type NonHeadcountCost = {
@@ -16,20 +39,69 @@
 //   startMonth: number
 //   endMonth?: number
 //   isOneTime?: boolean  // If true, this cost is applied only in startMonth, not recurring
+//   startDate?: string   // 'YYYY-MM-DD'; in dated plans overrides startMonth, recurring costs are prorated
+//   endDate?: string     // 'YYYY-MM-DD'; overrides endMonth
+// }
+//
+// type RevenueStream = {
+//   id: string
+//   label: string
+//   startingMrr: number        // Monthly recurring revenue in startMonth
+//   monthlyGrowthRate: number  // e.g. 0.08 for 8% new MRR per month
+//   monthlyChurnRate?: number  // e.g. 0.02 for 2% of MRR lost per month
+//   startMonth: number
+// }
+//
+// type FinancingEvent = {
+//   id: string
+//   label: string
+//   type: 'equity' | 'safe' | 'debt'
+//   amount: number
+//   month: number               // Cash lands at the start of this month
+//   committed?: boolean         // Signed/closed; uncommitted rounds are treated as upside
+//   annualInterestRate?: number // Debt only, e.g. 0.12; interest is paid monthly after the draw
 // }
 //
 // type ScenarioInput = {
+//   schemaVersion?: number     // SCENARIO_SCHEMA_VERSION; missing means a version 1 scenario
 //   id: string
 //   name: string
 //   startingCash: number
 //   currency: string
 //   projectionMonths: number
 //   employeeCostMultiplier: number
+//   startDate?: string         // 'YYYY-MM' or 'YYYY-MM-DD'; month 0 of the projection. Defaults to a January start
+//   fiscalYearStartMonth?: number  // Calendar month (0-11) the fiscal year starts in, defaults to January
+//   raiseCycleMonth?: number   // Calendar month (0-11) merit raises land; defaults to each hire's anniversary
+//   employerCostTable?: Record<string, EmployerCostProfile>  // Overrides/extends defaultEmployerCostTable
 //   hires: Hire[]
 //   nonHeadcountCosts: NonHeadcountCost[]
+//   revenueStreams?: RevenueStream[]
+//   financingEvents?: FinancingEvent[]
+//   headcountBuckets?: HeadcountBucket[]  // Redacted scenarios only, in place of hires
+//   redaction?: { groupBy: 'role' | 'department', exposesIndividuals?: boolean }
 // }
+//
+// Aggregated hires with their monthly figures already worked out, so a
+// scenario can be shared without individual salaries (see engine/redaction.js).
+// Arrays are indexed by month.
+//
+// type HeadcountBucket = {
+//   id: string
+//   label: string              // Role title or department
+//   headcount: number[]
+//   payroll: number[]          // Fully loaded
+//   commissions?: number[]
+//   hiringCosts?: number[]
+//   exitCosts?: number[]
+// }
+
+// Bumped whenever the ScenarioInput shape changes. Stored scenarios and share
+// links are migrated up to it on load (see engine/scenarioSchema.js).
+export const SCENARIO_SCHEMA_VERSION = 3
 
 export const seedStageScenario = {
+  schemaVersion: SCENARIO_SCHEMA_VERSION,
   id: 'scenario_seed_mvp',
   name: 'Seed-Stage SaaS Plan',
   startingCash: 1_500_000,
@@ -102,16 +174,183 @@ export const seedStageScenario = {
   ],
 }
 
-// Predefined roles for the custom "what-if" drag-and-drop scenario
+// Location tiers for salary bands. payFactor scales the SF/NYC band, which is
+// the most common benchmark in startup comp surveys.
+export const locationTiers = [
+  { id: 'sf_nyc', label: 'SF / NYC', shortLabel: 'SF', payFactor: 1 },
+  { id: 'us_metro', label: 'Other US metros', shortLabel: 'US', payFactor: 0.9 },
+  { id: 'us_remote', label: 'Remote (US)', shortLabel: 'RMT', payFactor: 0.85 },
+  { id: 'canada', label: 'Canada', shortLabel: 'CA', payFactor: 0.7 },
+  { id: 'uk', label: 'United Kingdom', shortLabel: 'UK', payFactor: 0.65 },
+  { id: 'eu', label: 'European Union', shortLabel: 'EU', payFactor: 0.6 },
+  { id: 'latam', label: 'Latin America', shortLabel: 'LATAM', payFactor: 0.4 },
+]
+
+export const DEFAULT_LOCATION_ID = 'sf_nyc'
+
+// Expand an SF/NYC band into min/median/max for every location tier
+function buildSalaryBands(sfNycBand) {
+  const roundTo = (value) => Math.round(value / 1_000) * 1_000
+  return locationTiers.reduce((bands, tier) => {
+    bands[tier.id] = {
+      min: roundTo(sfNycBand.min * tier.payFactor),
+      median: roundTo(sfNycBand.median * tier.payFactor),
+      max: roundTo(sfNycBand.max * tier.payFactor),
+    }
+    return bands
+  }, {})
+}
+
+// Predefined roles for the custom "what-if" drag-and-drop scenario.
+// annualSalary is the median of the default location's band; hiringCosts are
+// one-time costs booked in the hire's start month. department groups roles
+// when salaries are redacted.
+//
+// type HiringCosts = {
+//   recruiterFeeRate?: number  // Share of starting base salary, e.g. 0.2
+//   equipment?: number         // Laptop and other hardware
+//   onboarding?: number        // Travel, training, swag
+// }
+//
+// Quota-carrying roles also carry variable comp. annualSalary is base pay.
+//
+// type VariableComp = {
+//   oteBaseSplit: number    // Base share of on-target earnings, e.g. 0.5 for a 50/50 split
+//   commissionRate: number  // Share of new ARR booked, e.g. 0.1
+//   rampMonths: number      // Months before a rep carries full quota
+// }
 export const availableRoles = [
-  { id: 'role_founder_ceo', title: 'Founder / CEO', annualSalary: 180_000 },
-  { id: 'role_founder_cto', title: 'Founder / CTO', annualSalary: 180_000 },
-  { id: 'role_senior_eng', title: 'Senior Software Engineer', annualSalary: 180_000 },
-  { id: 'role_mid_eng', title: 'Mid-level Software Engineer', annualSalary: 160_000 },
-  { id: 'role_ae', title: 'Account Executive', annualSalary: 140_000 },
-  { id: 'role_designer', title: 'Product Designer', annualSalary: 150_000 },
+  {
+    id: 'role_founder_ceo',
+    title: 'Founder / CEO',
+    department: 'Leadership',
+    isFounder: true,
+    annualSalary: 180_000,
+    salaryBands: buildSalaryBands({ min: 140_000, median: 180_000, max: 220_000 }),
+    hiringCosts: { recruiterFeeRate: 0, equipment: 3_000, onboarding: 0 },
+  },
+  {
+    id: 'role_founder_cto',
+    title: 'Founder / CTO',
+    department: 'Leadership',
+    isFounder: true,
+    annualSalary: 180_000,
+    salaryBands: buildSalaryBands({ min: 140_000, median: 180_000, max: 220_000 }),
+    hiringCosts: { recruiterFeeRate: 0, equipment: 3_000, onboarding: 0 },
+  },
+  {
+    id: 'role_senior_eng',
+    title: 'Senior Software Engineer',
+    department: 'Engineering',
+    annualSalary: 180_000,
+    salaryBands: buildSalaryBands({ min: 160_000, median: 180_000, max: 215_000 }),
+    hiringCosts: { recruiterFeeRate: 0.2, equipment: 3_000, onboarding: 2_000 },
+  },
+  {
+    id: 'role_mid_eng',
+    title: 'Mid-level Software Engineer',
+    department: 'Engineering',
+    annualSalary: 160_000,
+    salaryBands: buildSalaryBands({ min: 135_000, median: 160_000, max: 180_000 }),
+    hiringCosts: { recruiterFeeRate: 0.2, equipment: 3_000, onboarding: 2_000 },
+  },
+  {
+    id: 'role_ae',
+    title: 'Account Executive',
+    department: 'Sales',
+    annualSalary: 140_000,
+    salaryBands: buildSalaryBands({ min: 115_000, median: 140_000, max: 165_000 }),
+    hiringCosts: { recruiterFeeRate: 0.2, equipment: 2_000, onboarding: 2_500 },
+    variableComp: { oteBaseSplit: 0.5, commissionRate: 0.1, rampMonths: 3 },
+  },
+  {
+    id: 'role_designer',
+    title: 'Product Designer',
+    department: 'Design',
+    annualSalary: 150_000,
+    salaryBands: buildSalaryBands({ min: 125_000, median: 150_000, max: 175_000 }),
+    hiringCosts: { recruiterFeeRate: 0.2, equipment: 3_500, onboarding: 1_500 },
+  },
+]
+
+// Salary band for a role in a location, or null if either is unknown
+export function getSalaryBand(roleId, locationId) {
+  const role = availableRoles.find((r) => r.id === roleId)
+  if (!role || !role.salaryBands) return null
+  return role.salaryBands[locationId] || null
+}
+
+// Employer-side costs by country/state, on top of base salary. Amounts are in
+// USD (the planner's currency), converted at rough 2025 rates for GB and DE.
+//
+// type EmployerContribution = {
+//   label: string
+//   rate: number            // Share of wages, e.g. 0.062
+//   threshold?: number      // Annual wages below this are exempt
+//   wageBaseCap?: number    // Annual wages above this are exempt
+//   capPeriod?: 'year' | 'month'  // 'year' (default): caps track year-to-date wages and
+//                                 // reset each calendar year, like US Social Security.
+//                                 // 'month': threshold and cap apply per monthly pay period.
+// }
+//
+// type EmployerCostProfile = {
+//   label: string
+//   contributions: EmployerContribution[]
+//   monthlyBenefitsPerHead: number  // Fixed per-head cost, e.g. health insurance
+// }
+const US_FEDERAL_CONTRIBUTIONS = [
+  { label: 'Social Security', rate: 0.062, wageBaseCap: 176_100 },
+  { label: 'Medicare', rate: 0.0145 },
+  { label: 'FUTA', rate: 0.006, wageBaseCap: 7_000 },
 ]
 
+export const defaultEmployerCostTable = {
+  'US-CA': {
+    label: 'United States — California',
+    contributions: [
+      ...US_FEDERAL_CONTRIBUTIONS,
+      { label: 'CA SUI', rate: 0.034, wageBaseCap: 7_000 },
+      { label: 'CA ETT', rate: 0.001, wageBaseCap: 7_000 },
+    ],
+    monthlyBenefitsPerHead: 900,
+  },
+  'US-NY': {
+    label: 'United States — New York',
+    contributions: [
+      ...US_FEDERAL_CONTRIBUTIONS,
+      { label: 'NY SUI', rate: 0.041, wageBaseCap: 12_800 },
+    ],
+    monthlyBenefitsPerHead: 950,
+  },
+  'US-TX': {
+    label: 'United States — Texas',
+    contributions: [
+      ...US_FEDERAL_CONTRIBUTIONS,
+      { label: 'TX SUI', rate: 0.027, wageBaseCap: 9_000 },
+    ],
+    monthlyBenefitsPerHead: 750,
+  },
+  GB: {
+    label: 'United Kingdom',
+    contributions: [
+      { label: 'Employer NIC', rate: 0.15, threshold: 6_300, capPeriod: 'month' },
+      { label: 'Pension (auto-enrolment)', rate: 0.03, threshold: 7_900, wageBaseCap: 63_500, capPeriod: 'month' },
+    ],
+    monthlyBenefitsPerHead: 150,
+  },
+  DE: {
+    label: 'Germany',
+    contributions: [
+      { label: 'Pension insurance', rate: 0.093, wageBaseCap: 104_000, capPeriod: 'month' },
+      { label: 'Unemployment insurance', rate: 0.013, wageBaseCap: 104_000, capPeriod: 'month' },
+      { label: 'Health insurance', rate: 0.0855, wageBaseCap: 71_500, capPeriod: 'month' },
+      { label: 'Long-term care insurance', rate: 0.018, wageBaseCap: 71_500, capPeriod: 'month' },
+      { label: 'Accident insurance & levies', rate: 0.016 },
+    ],
+    monthlyBenefitsPerHead: 100,
+  },
+}
+
 // A simple "aggressive hiring" scenario to support basic what-if comparisons
 export const aggressiveHiringScenario = {
   ...seedStageScenario,
@@ -178,33 +417,434 @@ export const conservativeScenario = {
   ],
 }
 
+// Revenue for a single stream in a given month. MRR compounds from startMonth
+// at the net of growth and churn, and is zero before the stream starts.
+function revenueForMonth(stream, monthIndex) {
+  if (monthIndex < stream.startMonth) return 0
+  const growth = stream.monthlyGrowthRate || 0
+  const churn = stream.monthlyChurnRate || 0
+  const monthsActive = monthIndex - stream.startMonth
+  return Math.max(0, stream.startingMrr * Math.pow(1 + growth - churn, monthsActive))
+}
+
+// New MRR booked by a stream in a given month: growth on last month's MRR.
+// The starting MRR is the existing book and isn't commissionable.
+function newMrrForMonth(stream, monthIndex) {
+  if (monthIndex <= stream.startMonth) return 0
+  return revenueForMonth(stream, monthIndex - 1) * (stream.monthlyGrowthRate || 0)
+}
+
+// Starting salary for a hire. Hires placed in a location tier are paid from
+// the role's band; anything else keeps its explicit annualSalary.
+export function baseAnnualSalary(hire) {
+  if (hire.roleId && hire.location) {
+    const band = getSalaryBand(hire.roleId, hire.location)
+    if (band) return band[hire.salaryLevel || 'median']
+  }
+  return hire.annualSalary
+}
+
+// Scale a hire's pay, promotions included. The location is dropped so the
+// scaled salary is used in place of the role's salary band.
+export function scaleHireSalary(hire, factor) {
+  return {
+    ...hire,
+    location: undefined,
+    annualSalary: baseAnnualSalary(hire) * factor,
+    promotions: (hire.promotions || []).map((promotion) => ({
+      ...promotion,
+      annualSalary: promotion.annualSalary * factor,
+    })),
+  }
+}
+
+// One-time cost of bringing a hire on board: recruiter fee on starting base
+// salary plus equipment and onboarding. Hires override their role's defaults.
+export function hiringCostForHire(hire) {
+  const role = hire.roleId ? availableRoles.find((r) => r.id === hire.roleId) : null
+  const costs = hire.hiringCosts || (role && role.hiringCosts)
+  if (!costs) return 0
+  const recruiterFee = (costs.recruiterFeeRate || 0) * baseAnnualSalary(hire)
+  return recruiterFee + (costs.equipment || 0) + (costs.onboarding || 0)
+}
+
+// Working days per year, for converting accrued PTO into pay
+const WORKING_DAYS_PER_YEAR = 260
+
+// One-time cost of a departure, booked in the exit month: severance weeks and
+// accrued PTO, both at the salary the hire is on when they leave
+function exitCostForHire(hire, monthIndex, scenario, firstCalendarMonth) {
+  const departure = hire.departure
+  if (!departure) return 0
+  const annualSalary = salaryForMonth(hire, monthIndex, scenario.raiseCycleMonth, firstCalendarMonth)
+  const severance = ((departure.severanceWeeks || 0) * annualSalary) / 52
+  const ptoPayout = ((departure.accruedPtoDays || 0) * annualSalary) / WORKING_DAYS_PER_YEAR
+  return severance + ptoPayout
+}
+
+function variableCompForHire(hire) {
+  const role = hire.roleId ? availableRoles.find((r) => r.id === hire.roleId) : null
+  return hire.variableComp || (role && role.variableComp) || null
+}
+
+// Commission cost per quota-carrying rep active this month, keyed by hire id.
+// New ARR is shared across reps by ramped capacity (a rep in month 1 of a
+// 3-month ramp carries a third of a quota). While ramping, reps are
+// guaranteed their variable target as a draw if they earn less than that.
+function commissionsForMonth(reps, newArr, monthIndex, scenario, firstCalendarMonth) {
+  const capacities = reps.map(({ hire, comp }) => {
+    const monthsIn = monthIndex - hire.startMonth + 1
+    return comp.rampMonths > 0 ? Math.min(1, monthsIn / comp.rampMonths) : 1
+  })
+  const totalCapacity = capacities.reduce((sum, capacity) => sum + capacity, 0)
+
+  const commissionByHire = {}
+  reps.forEach(({ hire, comp }, i) => {
+    const earned =
+      totalCapacity > 0 ? (comp.commissionRate * newArr * capacities[i]) / totalCapacity : 0
+    const isRamping = capacities[i] < 1
+    const monthlyBase =
+      salaryForMonth(hire, monthIndex, scenario.raiseCycleMonth, firstCalendarMonth) / 12
+    const monthlyVariableTarget = (monthlyBase * (1 - comp.oteBaseSplit)) / comp.oteBaseSplit
+    const draw = isRamping ? monthlyVariableTarget * activeShare(hire, monthIndex) : 0
+    commissionByHire[hire.id] = Math.max(earned, draw)
+  })
+  return commissionByHire
+}
+
+// A headcount bucket's figure for a month. Buckets only cover the months they
+// were built for; past that, headcount and payroll hold at the last month and
+// one-time costs are zero.
+function bucketFigure(values, monthIndex, holdLast = false) {
+  if (!values || values.length === 0) return 0
+  if (monthIndex < values.length) return values[monthIndex]
+  return holdLast ? values[values.length - 1] : 0
+}
+
+// Sum of an object's values
+function sumValues(byId) {
+  return Object.values(byId).reduce((sum, value) => sum + value, 0)
+}
+
+// Base salary a hire is paid in a given month, after promotions and merit
+// raises. Raises compound; a promotion resets the base to its new salary.
+function salaryForMonth(hire, monthIndex, raiseCycleMonth, firstCalendarMonth = 0) {
+  const raiseRate = hire.annualRaiseRate || 0
+  const promotions = hire.promotions || []
+  let salary = baseAnnualSalary(hire)
+
+  for (let month = hire.startMonth + 1; month <= monthIndex; month += 1) {
+    const promotion = promotions.find((p) => p.month === month)
+    if (promotion) {
+      salary = promotion.annualSalary
+      continue
+    }
+    const isRaiseMonth =
+      raiseCycleMonth != null
+        ? (firstCalendarMonth + month) % 12 === raiseCycleMonth
+        : (month - hire.startMonth) % 12 === 0
+    if (raiseRate > 0 && isRaiseMonth) {
+      salary *= 1 + raiseRate
+    }
+  }
+
+  return salary
+}
+
+// Employer cost profile for a hire, or null to fall back to the multiplier
+function employerCostProfile(hire, scenario) {
+  if (!hire.country) return null
+  const table = { ...defaultEmployerCostTable, ...(scenario.employerCostTable || {}) }
+  // Own keys only, so a country like 'toString' doesn't pick up Object.prototype
+  return Object.hasOwn(table, hire.country) ? table[hire.country] : null
+}
+
+export const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+// Year and calendar month (0 = January) of the scenario's first projected month,
+// or null when the scenario has no valid startDate
+function parseStartDate(scenario) {
+  if (!scenario.startDate) return null
+  const year = Number(String(scenario.startDate).slice(0, 4))
+  const month = Number(String(scenario.startDate).slice(5, 7))
+  if (!year || month < 1 || month > 12) return null
+  return { year, month: month - 1 }
+}
+
+// Calendar month (0 = January) of the scenario's first projected month
+function startCalendarMonth(scenario) {
+  const start = parseStartDate(scenario)
+  return start ? start.month : 0
+}
+
+// Calendar and fiscal labels for a projection month. Without a startDate the
+// plan is undated and months are labelled by index. Fiscal years are named
+// after the calendar year they end in (a Feb 2027 – Jan 2028 year is FY2028).
+export function describeMonth(scenario, monthIndex) {
+  const start = parseStartDate(scenario)
+  if (!start) {
+    return {
+      isoMonth: null,
+      label: `Month ${monthIndex + 1}`,
+      shortLabel: `M${monthIndex + 1}`,
+      fiscalQuarter: null,
+      fiscalYear: null,
+      fiscalLabel: null,
+    }
+  }
+
+  const absoluteMonth = start.year * 12 + start.month + monthIndex
+  const year = Math.floor(absoluteMonth / 12)
+  const month = absoluteMonth % 12
+
+  const fiscalStart = scenario.fiscalYearStartMonth || 0
+  const monthsIntoFiscalYear = (month - fiscalStart + 12) % 12
+  const fiscalQuarter = Math.floor(monthsIntoFiscalYear / 3) + 1
+  const fiscalYear = fiscalStart === 0 || month < fiscalStart ? year : year + 1
+
+  return {
+    isoMonth: `${year}-${String(month + 1).padStart(2, '0')}`,
+    label: `${MONTH_NAMES[month]} ${year}`,
+    shortLabel: `${MONTH_NAMES[month]} '${String(year).slice(2)}`,
+    fiscalQuarter,
+    fiscalYear,
+    fiscalLabel: `Q${fiscalQuarter} FY${fiscalYear}`,
+  }
+}
+
+// Projection month index an ISO date ('YYYY-MM-DD') falls in, or null when
+// the scenario is undated
+export function monthIndexForDate(scenario, isoDate) {
+  const start = parseStartDate(scenario)
+  if (!start || !isoDate) return null
+  const year = Number(isoDate.slice(0, 4))
+  const month = Number(isoDate.slice(5, 7)) - 1
+  return year * 12 + month - (start.year * 12 + start.month)
+}
+
+function daysInMonth(isoDate) {
+  const year = Number(isoDate.slice(0, 4))
+  const month = Number(isoDate.slice(5, 7))
+  return new Date(Date.UTC(year, month, 0)).getUTCDate()
+}
+
+// Founders are on payroll from the start, so planning tools never delay, lay
+// off or resample them. Hires added without a role id are matched to a role
+// by title; custom titles starting with "Founder" count too.
+export function isFounder(hire) {
+  const role =
+    availableRoles.find((r) => r.id === hire.roleId) || availableRoles.find((r) => r.title === hire.title)
+  return role ? Boolean(role.isFounder) : hire.title.startsWith('Founder')
+}
+
+// Move a hire's start by whole months (negative moves it earlier). A day-level
+// start date moves with it, keeping the same day of the month where it exists.
+export function delayHireStart(hire, months) {
+  if (!hire.startDate) return { ...hire, startMonth: hire.startMonth + months }
+  const year = Number(hire.startDate.slice(0, 4))
+  const month = Number(hire.startDate.slice(5, 7)) - 1 + months
+  const shifted = new Date(Date.UTC(year, month, 1)).toISOString().slice(0, 10)
+  const day = Math.min(Number(hire.startDate.slice(8, 10)) || 1, daysInMonth(shifted))
+  return {
+    ...hire,
+    startMonth: hire.startMonth + months,
+    startDate: `${shifted.slice(0, 8)}${String(day).padStart(2, '0')}`,
+  }
+}
+
+// Re-derive the startMonth/endMonth shorthand of dated hires and costs, e.g.
+// after the plan's start date moves. Anything dated before month 0 is moved
+// up to the first of that month so it starts inside the projection and its
+// one-time costs are still booked.
+export function rebaseDatedItems(scenario) {
+  const start = parseStartDate(scenario)
+  if (!start) return scenario
+  const firstDay = `${start.year}-${String(start.month + 1).padStart(2, '0')}-01`
+
+  const rebase = (item) => {
+    if (!item.startDate && !item.endDate) return item
+    const rebased = { ...item }
+    if (item.startDate) {
+      rebased.startDate = item.startDate < firstDay ? firstDay : item.startDate
+      rebased.startMonth = monthIndexForDate(scenario, rebased.startDate)
+    }
+    if (item.endDate) rebased.endMonth = monthIndexForDate(scenario, item.endDate)
+    return rebased
+  }
+
+  return {
+    ...scenario,
+    hires: scenario.hires.map(rebase),
+    nonHeadcountCosts: scenario.nonHeadcountCosts.map(rebase),
+  }
+}
+
+// Resolve a hire's or cost's startDate/endDate into month indices, plus the
+// share of its first and last month that is actually worked or paid for.
+// startMonth/endMonth remain the shorthand when no dates are given.
+function resolveDates(item, scenario) {
+  const resolved = { ...item, startFraction: 1, endFraction: 1 }
+
+  const startIndex = monthIndexForDate(scenario, item.startDate)
+  if (startIndex != null) {
+    const day = Number(item.startDate.slice(8, 10)) || 1
+    const days = daysInMonth(item.startDate)
+    resolved.startMonth = startIndex
+    resolved.startFraction = (days - day + 1) / days
+  }
+
+  const endIndex = monthIndexForDate(scenario, item.endDate)
+  if (endIndex != null) {
+    const days = daysInMonth(item.endDate)
+    const day = Number(item.endDate.slice(8, 10)) || days
+    resolved.endMonth = endIndex
+    resolved.endFraction = day / days
+  }
+
+  return resolved
+}
+
+// Share of a month an item with resolved dates is active for (0-1)
+function activeShare(item, monthIndex) {
+  let share = 1
+  if (monthIndex === item.startMonth) share -= 1 - item.startFraction
+  if (monthIndex === item.endMonth) share -= 1 - item.endFraction
+  return Math.max(0, share)
+}
+
+// Wages subject to a contribution, for wages earned so far this period.
+// Used as taxable(after) - taxable(before) so caps bite mid-year.
+function taxableWages(wages, floor, ceiling) {
+  return Math.max(0, Math.min(wages, ceiling) - floor)
+}
+
+// Fully loaded monthly cost of a hire. With a country profile, statutory
+// contributions are applied against the hire's year-to-date wages (or the
+// monthly pay period for capPeriod 'month') and fixed benefits are added per
+// head. ytdWagesBefore is what the hire has already earned this calendar year;
+// monthlyBase is already prorated, and share prorates the benefits to match.
+function fullyLoadedMonthlyCost(hire, monthlyBase, scenario, ytdWagesBefore, share = 1) {
+  const profile = employerCostProfile(hire, scenario)
+  if (!profile) {
+    return monthlyBase * scenario.employeeCostMultiplier
+  }
+
+  const contributions = profile.contributions.reduce((sum, contribution) => {
+    const floor = contribution.threshold || 0
+    const ceiling = contribution.wageBaseCap != null ? contribution.wageBaseCap : Infinity
+    if (contribution.capPeriod === 'month') {
+      return sum + taxableWages(monthlyBase, floor / 12, ceiling / 12) * contribution.rate
+    }
+    const taxableThisMonth =
+      taxableWages(ytdWagesBefore + monthlyBase, floor, ceiling) -
+      taxableWages(ytdWagesBefore, floor, ceiling)
+    return sum + taxableThisMonth * contribution.rate
+  }, 0)
+
+  return monthlyBase + contributions + profile.monthlyBenefitsPerHead * share
+}
+
+// Labels used in the UI for each kind of financing event
+export const financingTypes = [
+  { id: 'equity', label: 'Equity round' },
+  { id: 'safe', label: 'SAFE' },
+  { id: 'debt', label: 'Venture debt draw' },
+]
+
 export function runBurnRate(scenario) {
   const monthly = []
+  const revenueStreams = scenario.revenueStreams || []
+  const financingEvents = scenario.financingEvents || []
+  const hires = scenario.hires.map((hire) => resolveDates(hire, scenario))
+  // Redacted scenarios carry aggregated buckets with precomputed monthly
+  // figures in place of individual hires (see engine/redaction.js)
+  const headcountBuckets = scenario.headcountBuckets || []
+  const nonHeadcountCosts = scenario.nonHeadcountCosts.map((cost) => resolveDates(cost, scenario))
 
   let previousClosingCash = scenario.startingCash
   let totalPayrollCost = 0
   let totalNonHeadcountCost = 0
+  let totalHiringCost = 0
+  let totalCommissionCost = 0
+  let totalExitCost = 0
+  let totalRevenue = 0
+  let totalFinancing = 0
+  let totalInterestCost = 0
   let totalBurn = 0
   let firstNegativeMonth = null
 
+  // Year-to-date wages per hire, for payroll taxes with annual wage-base caps
+  const firstCalendarMonth = startCalendarMonth(scenario)
+  let ytdWagesByHire = {}
+
   for (let monthIndex = 0; monthIndex < scenario.projectionMonths; monthIndex += 1) {
+    // Wage bases reset at the start of each calendar year
+    if (monthIndex > 0 && (firstCalendarMonth + monthIndex) % 12 === 0) {
+      ytdWagesByHire = {}
+    }
+
     // Active hires
-    const activeHires = scenario.hires.filter((hire) => {
+    const activeHires = hires.filter((hire) => {
       const starts = hire.startMonth <= monthIndex
       const ends = hire.endMonth == null || monthIndex <= hire.endMonth
       return starts && ends
     })
 
-    const activeHiresCount = activeHires.length
+    const activeHiresCount =
+      activeHires.length +
+      headcountBuckets.reduce((sum, bucket) => sum + bucketFigure(bucket.headcount, monthIndex, true), 0)
+
+    const payrollByHire = {}
+    activeHires.forEach((hire) => {
+      // Hires starting or leaving mid-month are paid for the days they work
+      const share = activeShare(hire, monthIndex)
+      const monthlyBase =
+        (salaryForMonth(hire, monthIndex, scenario.raiseCycleMonth, firstCalendarMonth) / 12) * share
+      const ytdWagesBefore = ytdWagesByHire[hire.id] || 0
+      const fullyLoaded = fullyLoadedMonthlyCost(hire, monthlyBase, scenario, ytdWagesBefore, share)
+      ytdWagesByHire[hire.id] = ytdWagesBefore + monthlyBase
+      payrollByHire[hire.id] = fullyLoaded
+    })
+
+    // Severance and PTO payouts for hires leaving this month
+    const exitCostByHire = {}
+    hires
+      .filter((hire) => hire.endMonth === monthIndex)
+      .forEach((hire) => {
+        exitCostByHire[hire.id] = exitCostForHire(hire, monthIndex, scenario, firstCalendarMonth)
+      })
 
-    const payrollCost = activeHires.reduce((sum, hire) => {
-      const monthlyBase = hire.annualSalary / 12
-      const fullyLoaded = monthlyBase * scenario.employeeCostMultiplier
-      return sum + fullyLoaded
+    // Commissions on new ARR for quota-carrying reps
+    const newArr = revenueStreams.reduce((sum, stream) => {
+      return sum + newMrrForMonth(stream, monthIndex) * 12
     }, 0)
+    const reps = activeHires
+      .map((hire) => ({ hire, comp: variableCompForHire(hire) }))
+      .filter((rep) => rep.comp)
+    const commissionByHire = commissionsForMonth(reps, newArr, monthIndex, scenario, firstCalendarMonth)
+
+    // One-time recruiting, equipment and onboarding costs for hires starting this month
+    const hiringCostByHire = {}
+    hires
+      .filter((hire) => hire.startMonth === monthIndex)
+      .forEach((hire) => {
+        hiringCostByHire[hire.id] = hiringCostForHire(hire)
+      })
+
+    headcountBuckets.forEach((bucket) => {
+      payrollByHire[bucket.id] = bucketFigure(bucket.payroll, monthIndex, true)
+      commissionByHire[bucket.id] = bucketFigure(bucket.commissions, monthIndex)
+      hiringCostByHire[bucket.id] = bucketFigure(bucket.hiringCosts, monthIndex)
+      exitCostByHire[bucket.id] = bucketFigure(bucket.exitCosts, monthIndex)
+    })
+
+    const payrollCost = sumValues(payrollByHire)
+    const exitCost = sumValues(exitCostByHire)
+    const commissionCost = sumValues(commissionByHire)
+    const hiringCost = sumValues(hiringCostByHire)
 
     // Active non-headcount costs
-    const activeCosts = scenario.nonHeadcountCosts.filter((cost) => {
+    const activeCosts = nonHeadcountCosts.filter((cost) => {
       // For one-time costs, only apply in the exact month
       if (cost.isOneTime) {
         return cost.startMonth === monthIndex
@@ -215,13 +855,34 @@ export function runBurnRate(scenario) {
       return starts && ends
     })
 
+    const nonHeadcountByCost = {}
     const nonHeadcountCost = activeCosts.reduce((sum, cost) => {
-      return sum + cost.monthlyAmount
+      // One-time costs are booked in full; recurring ones are prorated by date
+      const amount = cost.isOneTime ? cost.monthlyAmount : cost.monthlyAmount * activeShare(cost, monthIndex)
+      nonHeadcountByCost[cost.id] = amount
+      return sum + amount
     }, 0)
 
-    const totalCost = payrollCost + nonHeadcountCost
-    const burn = totalCost
-    const closingCash = previousClosingCash - totalCost
+    const revenue = revenueStreams.reduce((sum, stream) => {
+      return sum + revenueForMonth(stream, monthIndex)
+    }, 0)
+
+    // Cash raised this month, plus interest on any debt drawn before this month
+    const financing = financingEvents
+      .filter((event) => event.month === monthIndex)
+      .reduce((sum, event) => sum + event.amount, 0)
+
+    const interestCost = financingEvents
+      .filter((event) => event.type === 'debt' && event.month < monthIndex)
+      .reduce((sum, event) => sum + (event.amount * (event.annualInterestRate || 0)) / 12, 0)
+
+    const totalCost =
+      payrollCost + commissionCost + hiringCost + exitCost + nonHeadcountCost + interestCost
+    const grossBurn = totalCost
+    const netBurn = grossBurn - revenue
+    // `burn` is what actually leaves the bank account, so it tracks net burn
+    const burn = netBurn
+    const closingCash = previousClosingCash + financing - netBurn
 
     if (firstNegativeMonth === null && closingCash < 0) {
       firstNegativeMonth = monthIndex
@@ -229,15 +890,35 @@ export function runBurnRate(scenario) {
 
     totalPayrollCost += payrollCost
     totalNonHeadcountCost += nonHeadcountCost
+    totalHiringCost += hiringCost
+    totalCommissionCost += commissionCost
+    totalExitCost += exitCost
+    totalRevenue += revenue
+    totalFinancing += financing
+    totalInterestCost += interestCost
     totalBurn += burn
 
     monthly.push({
       monthIndex,
+      ...describeMonth(scenario, monthIndex),
       activeHires: activeHiresCount,
       payrollCost,
+      payrollByHire,
+      commissionCost,
+      commissionByHire,
+      hiringCost,
+      hiringCostByHire,
+      exitCost,
+      exitCostByHire,
       nonHeadcountCost,
+      nonHeadcountByCost,
+      interestCost,
       totalCost,
+      revenue,
+      grossBurn,
+      netBurn,
       burn,
+      financing,
       closingCash,
     })
 
@@ -252,6 +933,12 @@ export function runBurnRate(scenario) {
     endingCash: previousClosingCash,
     totalPayrollCost,
     totalNonHeadcountCost,
+    totalHiringCost,
+    totalCommissionCost,
+    totalExitCost,
+    totalRevenue,
+    totalFinancing,
+    totalInterestCost,
     averageMonthlyBurn: totalBurn / scenario.projectionMonths,
     firstNegativeMonth,
   }
@@ -259,12 +946,39 @@ export function runBurnRate(scenario) {
   return { scenario, monthly, summary }
 }
 
+// Runway if only committed financing lands. Rounds that are still being raised
+// are stripped from the scenario and the projection is re-run.
+function estimateCommittedRunway(scenario, summary) {
+  const financingEvents = scenario.financingEvents || []
+  const hasUncommitted = financingEvents.some((event) => !event.committed)
+
+  let firstNegativeMonth = summary.firstNegativeMonth
+  let endingCash = summary.endingCash
+  if (hasUncommitted) {
+    const committedOnly = runBurnRate({
+      ...scenario,
+      financingEvents: financingEvents.filter((event) => event.committed),
+    })
+    firstNegativeMonth = committedOnly.summary.firstNegativeMonth
+    endingCash = committedOnly.summary.endingCash
+  }
+
+  return {
+    hasUncommitted,
+    hasRunwayEnd: firstNegativeMonth != null,
+    runwayMonths: firstNegativeMonth != null ? firstNegativeMonth + 1 : null,
+    cashOutMonth: firstNegativeMonth,
+    endingCash,
+  }
+}
+
 export function estimateRunway(result) {
   const { summary, monthly } = result
   const { startingCash, endingCash, averageMonthlyBurn, firstNegativeMonth, currency, scenarioId, scenarioName } =
     summary
 
-  const currentMonthlyBurn = monthly[0] ? monthly[0].burn : 0
+  // Net of revenue, so a company with MRR shows its real cash burn
+  const currentMonthlyBurn = monthly[0] ? monthly[0].netBurn : 0
 
   let runwayMonths = null
   let cashOutMonth = null
@@ -284,6 +998,8 @@ export function estimateRunway(result) {
   const veryShortRunway = runwayMonths != null && runwayMonths < 6
   const safeRunway = runwayMonths != null && runwayMonths >= 18
 
+  const committedRunway = estimateCommittedRunway(result.scenario, summary)
+
   return {
     scenarioId,
     scenarioName,
@@ -298,6 +1014,7 @@ export function estimateRunway(result) {
     staticRunwayMonths,
     veryShortRunway,
     safeRunway,
+    committedRunway,
   }
 }
 
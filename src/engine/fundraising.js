@@ -0,0 +1,100 @@
+/**
+ * Fundraising Mode
+ *
+ * Works out how much a company needs to raise, and by when, to fund its
+ * hiring plan. Everything is computed by re-running the burn engine, so
+ * revenue, existing financing events and hire timing are all respected.
+ * Rounds that are still being raised are left out unless asked for, so the
+ * answer doesn't lean on money that hasn't been signed.
+ */
+
+import { runBurnRate, estimateRunway } from '../engine.js'
+
+// Round raise amounts up to a number founders would actually put in a deck
+const RAISE_ROUNDING = 10_000
+
+/**
+ * Solves for the minimum raise and latest close month for a scenario
+ *
+ * The round must close while there are still `safetyBufferMonths` of runway
+ * left, and must be large enough that cash stays non-negative for
+ * `targetRunwayMonths` after it closes.
+ *
+ * @param {Object} scenario - The scenario object (from engine.js)
+ * @param {Object} options
+ * @param {number} options.targetRunwayMonths - Months of runway required after close
+ * @param {number} options.safetyBufferMonths - Months of cash to keep in reserve before close
+ * @param {boolean} [options.includeUncommitted=false] - Count financing events that aren't committed yet
+ * @returns {Object} Object with needsRaise, raiseAmount, latestCloseMonth and the verified runway
+ */
+export function solveFundraise(
+  scenario,
+  { targetRunwayMonths = 24, safetyBufferMonths = 3, includeUncommitted = false } = {},
+) {
+  const existingEvents = (scenario.financingEvents || []).filter((event) => includeUncommitted || event.committed)
+  const plan = { ...scenario, financingEvents: existingEvents }
+
+  // Look far enough ahead to see a cash-out that happens after the plan's own horizon
+  const searchHorizon = scenario.projectionMonths + targetRunwayMonths
+  const baseline = runBurnRate({ ...plan, projectionMonths: searchHorizon })
+  const cashOutMonth = baseline.summary.firstNegativeMonth
+
+  if (cashOutMonth == null) {
+    return {
+      needsRaise: false,
+      raiseAmount: 0,
+      latestCloseMonth: null,
+      cashOutMonth: null,
+      isPastDeadline: false,
+      targetRunwayMonths,
+      safetyBufferMonths,
+      postCloseRunwayMonths: null,
+    }
+  }
+
+  const isPastDeadline = cashOutMonth - safetyBufferMonths < 0
+  const latestCloseMonth = Math.max(0, cashOutMonth - safetyBufferMonths)
+  const requiredHorizon = latestCloseMonth + targetRunwayMonths
+
+  const projection =
+    requiredHorizon > searchHorizon
+      ? runBurnRate({ ...plan, projectionMonths: requiredHorizon })
+      : baseline
+
+  // Cash from the round lands in the close month, so the raise has to cover
+  // the deepest point the balance would otherwise reach in the target window
+  const windowRows = projection.monthly.slice(latestCloseMonth, requiredHorizon)
+  const lowestCash = Math.min(...windowRows.map((row) => row.closingCash))
+  const raiseAmount = Math.ceil(Math.max(0, -lowestCash) / RAISE_ROUNDING) * RAISE_ROUNDING
+
+  const funded = runBurnRate({
+    ...plan,
+    projectionMonths: requiredHorizon,
+    financingEvents: [
+      ...existingEvents,
+      {
+        id: 'fundraise_solver',
+        label: 'Required raise',
+        type: 'equity',
+        amount: raiseAmount,
+        month: latestCloseMonth,
+        committed: true,
+      },
+    ],
+  })
+  const fundedRunway = estimateRunway(funded)
+
+  return {
+    needsRaise: raiseAmount > 0,
+    raiseAmount,
+    latestCloseMonth,
+    cashOutMonth,
+    isPastDeadline,
+    targetRunwayMonths,
+    safetyBufferMonths,
+    // Months the round keeps cash positive, counting the close month itself
+    postCloseRunwayMonths: fundedRunway.hasRunwayEnd
+      ? fundedRunway.cashOutMonth - latestCloseMonth
+      : targetRunwayMonths,
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * Hire Goal-Seek
+ *
+ * Answers "when can we afford this hire?" by trying the hire in every month
+ * of the projection and keeping the months where the plan still meets a
+ * runway floor or minimum cash balance.
+ */
+
+import { runBurnRate, estimateRunway } from '../engine.js'
+
+// Whether a projection meets the floor. Runway is checked far enough ahead to
+// see the floor even when it lies past the plan's own horizon.
+function meetsFloor(scenario, { minRunwayMonths, minCash }) {
+  const result = runBurnRate({
+    ...scenario,
+    projectionMonths: Math.max(scenario.projectionMonths, minRunwayMonths || 0),
+  })
+
+  if (minRunwayMonths != null) {
+    const runway = estimateRunway(result)
+    if (runway.hasRunwayEnd && runway.runwayMonths < minRunwayMonths) return false
+  }
+
+  if (minCash != null) {
+    const planMonths = result.monthly.slice(0, scenario.projectionMonths)
+    if (planMonths.some((row) => row.closingCash < minCash)) return false
+  }
+
+  return true
+}
+
+/**
+ * Finds the start months in which a new hire keeps the plan above a floor
+ *
+ * Give either or both floors; a start month is feasible when every floor
+ * given is met.
+ *
+ * @param {Object} scenario - The scenario object (from engine.js)
+ * @param {Object} hire - The hire to place; its startMonth is ignored
+ * @param {Object} floor
+ * @param {number} floor.minRunwayMonths - Runway the plan must keep, in months
+ * @param {number} floor.minCash - Lowest closing cash allowed in any month of the plan
+ * @returns {Object} Object with earliestMonth and latestMonth (null when no month works)
+ *   and the full list of feasibleMonths
+ */
+export function findHireStartWindow(scenario, hire, { minRunwayMonths = null, minCash = null } = {}) {
+  const feasibleMonths = []
+  for (let startMonth = 0; startMonth < scenario.projectionMonths; startMonth += 1) {
+    const candidate = {
+      ...scenario,
+      hires: [...scenario.hires, { ...hire, startMonth, startDate: undefined }],
+    }
+    if (meetsFloor(candidate, { minRunwayMonths, minCash })) {
+      feasibleMonths.push(startMonth)
+    }
+  }
+
+  return {
+    earliestMonth: feasibleMonths.length > 0 ? feasibleMonths[0] : null,
+    latestMonth: feasibleMonths.length > 0 ? feasibleMonths[feasibleMonths.length - 1] : null,
+    feasibleMonths,
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * Monte Carlo Runway Simulation
+ *
+ * The burn engine is deterministic, so a single projection says nothing about
+ * how likely it is. This module re-runs the engine many times with uncertain
+ * inputs sampled at random and reports the spread of outcomes.
+ */
+
+import { runBurnRate, delayHireStart, isFounder, scaleHireSalary } from '../engine.js'
+
+// Small seeded PRNG (mulberry32) so the same scenario always draws the same band
+function createRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// Standard normal sample (Box-Muller)
+function sampleNormal(random) {
+  const u = 1 - random()
+  const v = random()
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+}
+
+// Linear-interpolated percentile of an ascending array
+function percentile(sorted, p) {
+  const position = (sorted.length - 1) * p
+  const lower = Math.floor(position)
+  const upper = Math.ceil(position)
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower)
+}
+
+function sampleScenario(scenario, random, options) {
+  const { maxHireSlipMonths, salaryVariance, revenueGrowthVariance, costOverrunRate } = options
+
+  const hires = scenario.hires.map((hire) => {
+    // Founders are already on payroll; everyone else can start late
+    const slip = isFounder(hire)
+      ? 0
+      : Math.floor(random() * (maxHireSlipMonths + 1))
+    const salaryFactor = Math.max(0.5, 1 + sampleNormal(random) * salaryVariance)
+    const slipped = slip > 0 ? delayHireStart(hire, slip) : hire
+    return scaleHireSalary(slipped, salaryFactor)
+  })
+
+  const nonHeadcountCosts = scenario.nonHeadcountCosts.map((cost) => ({
+    ...cost,
+    // Costs overrun, they rarely come in under budget
+    monthlyAmount: cost.monthlyAmount * (1 + Math.abs(sampleNormal(random)) * costOverrunRate),
+  }))
+
+  const revenueStreams = (scenario.revenueStreams || []).map((stream) => ({
+    ...stream,
+    monthlyGrowthRate: Math.max(
+      0,
+      (stream.monthlyGrowthRate || 0) * (1 + sampleNormal(random) * revenueGrowthVariance)
+    ),
+  }))
+
+  return { ...scenario, hires, nonHeadcountCosts, revenueStreams }
+}
+
+/**
+ * Simulates a scenario many times with uncertain inputs
+ *
+ * Each run samples, independently:
+ * - a start slip of 0 to `maxHireSlipMonths` whole months for every non-founder hire
+ * - a salary factor for every hire, normally distributed around 1
+ * - a cost overrun for every non-headcount cost (never below budget)
+ * - a growth factor for every revenue stream, normally distributed around 1
+ *
+ * @param {Object} scenario - The scenario object (from engine.js)
+ * @param {Object} options
+ * @param {number} options.runs - Number of simulated runs. Thousands of runs take
+ *   most of a second, so the UI calls this from monteCarlo.worker.js
+ * @param {number} options.maxHireSlipMonths - Latest a hire can start beyond plan
+ * @param {number} options.salaryVariance - Standard deviation of the salary factor
+ * @param {number} options.revenueGrowthVariance - Standard deviation of the growth factor
+ * @param {number} options.costOverrunRate - Standard deviation of cost overruns
+ * @param {number} options.seed - Seed for the random draws
+ * @returns {Object} Object with per-month P10/P50/P90 closing cash, the runway
+ *   distribution, runway percentiles and the probability of running out of cash
+ */
+export function simulateRunway(
+  scenario,
+  {
+    runs = 2000,
+    maxHireSlipMonths = 3,
+    salaryVariance = 0.1,
+    revenueGrowthVariance = 0.3,
+    costOverrunRate = 0.15,
+    seed = 1,
+  } = {}
+) {
+  const random = createRandom(seed)
+  const options = { maxHireSlipMonths, salaryVariance, revenueGrowthVariance, costOverrunRate }
+
+  const cashByMonth = Array.from({ length: scenario.projectionMonths }, () => [])
+  const runwayCounts = {}
+  const runwayMonthsByRun = []
+  let cashOutRuns = 0
+
+  for (let run = 0; run < runs; run += 1) {
+    const result = runBurnRate(sampleScenario(scenario, random, options))
+    result.monthly.forEach((row, monthIndex) => cashByMonth[monthIndex].push(row.closingCash))
+
+    const { firstNegativeMonth } = result.summary
+    if (firstNegativeMonth != null) {
+      const runwayMonths = firstNegativeMonth + 1
+      runwayCounts[runwayMonths] = (runwayCounts[runwayMonths] || 0) + 1
+      runwayMonthsByRun.push(runwayMonths)
+      cashOutRuns += 1
+    } else {
+      // Treated as "beyond the projection" when ranking runs
+      runwayMonthsByRun.push(Infinity)
+    }
+  }
+
+  const monthly = cashByMonth.map((values, monthIndex) => {
+    const sorted = values.sort((a, b) => a - b)
+    return {
+      monthIndex,
+      p10: percentile(sorted, 0.1),
+      p50: percentile(sorted, 0.5),
+      p90: percentile(sorted, 0.9),
+    }
+  })
+
+  const sortedRunways = runwayMonthsByRun.sort((a, b) => a - b)
+  const runwayPercentile = (p) => {
+    const value = sortedRunways[Math.floor((sortedRunways.length - 1) * p)]
+    return Number.isFinite(value) ? value : null
+  }
+
+  return {
+    runs,
+    monthly,
+    runwayDistribution: Object.entries(runwayCounts)
+      .map(([runwayMonths, count]) => ({ runwayMonths: Number(runwayMonths), probability: count / runs }))
+      .sort((a, b) => a.runwayMonths - b.runwayMonths),
+    // Runway in months at each percentile; null means cash lasts past the projection
+    runwayPercentiles: {
+      p10: runwayPercentile(0.1),
+      p50: runwayPercentile(0.5),
+      p90: runwayPercentile(0.9),
+    },
+    cashOutProbability: cashOutRuns / runs,
+  }
+}
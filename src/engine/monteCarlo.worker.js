@@ -0,0 +1,13 @@
+/**
+ * Monte Carlo Worker
+ *
+ * Runs simulateRunway off the main thread, so thousands of engine runs don't
+ * freeze the page while the plan is being edited. Posts back the result for
+ * each scenario it is sent.
+ */
+
+import { simulateRunway } from './monteCarlo.js'
+
+self.onmessage = (event) => {
+  self.postMessage(simulateRunway(event.data))
+}
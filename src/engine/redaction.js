@@ -0,0 +1,205 @@
+/**
+ * Salary Redaction
+ *
+ * Builds a version of a scenario that can go in front of a board without
+ * revealing what any one person is paid. Hires are grouped into buckets by
+ * role or department and replaced with each bucket's monthly headcount and
+ * costs, taken from the engine run of the full scenario. runBurnRate gives
+ * the redacted scenario the same monthly totals, so runway, charts and
+ * exports match.
+ *
+ * A bucket holding a single person would show that person's exact cost, so
+ * groups smaller than MIN_BUCKET_SIZE are rolled up: roles into their
+ * department, then departments into one "Other" bucket. Headcount changes
+ * over the plan, so the minimum is enforced again month by month: in a month
+ * where any bucket's figure comes from fewer than MIN_BUCKET_SIZE people,
+ * that figure is only shared as a plan-wide total. When even the total comes
+ * from too few people (a single hire, or the only person starting that
+ * month), redaction.exposesIndividuals flags it.
+ */
+
+import { availableRoles, runBurnRate } from '../engine.js'
+
+export const REDACTION_GROUPINGS = [
+  { id: 'role', label: 'Role' },
+  { id: 'department', label: 'Department' },
+]
+
+// Fewest hires a bucket may hold before it is rolled into a wider one
+export const MIN_BUCKET_SIZE = 2
+
+const OTHER_DEPARTMENT = 'Other'
+
+// Role and department groups for a hire. Hires added without a role id are
+// matched to a role by title.
+function groupsForHire(hire) {
+  const role =
+    availableRoles.find((r) => r.id === hire.roleId) || availableRoles.find((r) => r.title === hire.title)
+  const department = role?.department || OTHER_DEPARTMENT
+  return {
+    role: role ? { key: `role:${role.id}`, label: role.title } : { key: `role:${hire.title}`, label: hire.title },
+    department: { key: `department:${department}`, label: department },
+  }
+}
+
+// Moves every hire in a group below MIN_BUCKET_SIZE to the group pickWider
+// gives it
+function rollUpSmallGroups(groups, pickWider) {
+  const rolled = new Map()
+  for (const [groupKey, group] of groups) {
+    const isSmall = group.hires.length < MIN_BUCKET_SIZE
+    group.hires.forEach((entry) => {
+      const { key, label } = isSmall ? pickWider(entry) : { key: groupKey, label: group.label }
+      if (!rolled.has(key)) rolled.set(key, { label, hires: [] })
+      rolled.get(key).hires.push(entry)
+    })
+  }
+  return rolled
+}
+
+// Groups hires so that no group holds fewer than MIN_BUCKET_SIZE of them,
+// unless the plan has fewer hires than that in total
+function groupHires(hires, groupBy) {
+  const other = { key: `department:${OTHER_DEPARTMENT}`, label: OTHER_DEPARTMENT }
+  let groups = new Map()
+  hires.forEach((hire) => {
+    const entry = { hire, ...groupsForHire(hire) }
+    const { key, label } = entry[groupBy]
+    if (!groups.has(key)) groups.set(key, { label, hires: [] })
+    groups.get(key).hires.push(entry)
+  })
+
+  if (groupBy === 'role') groups = rollUpSmallGroups(groups, (entry) => entry.department)
+  groups = rollUpSmallGroups(groups, () => other)
+
+  // A lone hire left in "Other" takes the smallest remaining group with it
+  const leftover = groups.get(other.key)
+  if (leftover && leftover.hires.length < MIN_BUCKET_SIZE && groups.size > 1) {
+    const [smallestKey, smallest] = [...groups.entries()]
+      .filter(([key]) => key !== other.key)
+      .sort(([, a], [, b]) => a.hires.length - b.hires.length)[0]
+    leftover.hires.push(...smallest.hires)
+    groups.delete(smallestKey)
+  }
+
+  return [...groups.entries()].map(([key, { label, hires: entries }]) => ({
+    key,
+    label,
+    hireIds: entries.map(({ hire }) => hire.id),
+  }))
+}
+
+function toId(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '')
+}
+
+// Bucket figures with the engine's by-hire field each one is summed from.
+// Payroll also sets the bucket's headcount.
+const BUCKET_FIGURES = [
+  { field: 'payroll', byHire: 'payrollByHire' },
+  { field: 'commissions', byHire: 'commissionByHire' },
+  { field: 'hiringCosts', byHire: 'hiringCostByHire' },
+  { field: 'exitCosts', byHire: 'exitCostByHire' },
+]
+
+// Bucket that takes every group's figure in months where some group has too
+// few people behind it
+const PLAN_WIDE = { key: 'all:All hires', label: 'All hires' }
+
+function isTooFew(count) {
+  return count > 0 && count < MIN_BUCKET_SIZE
+}
+
+// A group's value for one figure in one month, and how many people it comes from
+function figureForMonth(row, byHire, hireIds) {
+  let value = 0
+  let count = 0
+  hireIds.forEach((id) => {
+    if (!(id in row[byHire])) return
+    value += row[byHire][id]
+    // Anyone on payroll counts towards headcount, even in an unpaid month
+    if (byHire === 'payrollByHire' || row[byHire][id] !== 0) count += 1
+  })
+  return { value, count }
+}
+
+/**
+ * Whether a scenario has been redacted
+ *
+ * @param {Object} scenario - Any scenario
+ * @returns {boolean} True when it carries headcount buckets
+ */
+export function isRedacted(scenario) {
+  return (scenario.headcountBuckets || []).length > 0
+}
+
+/**
+ * Replaces a scenario's hires with aggregated headcount buckets
+ *
+ * Buckets already in the scenario (from an earlier redaction) are kept as
+ * they are; only its individual hires are grouped.
+ *
+ * @param {Object} scenario - The scenario to redact
+ * @param {Object} options - Object with groupBy: 'role' (default) or 'department'
+ * @returns {Object} Redacted scenario with no hires, one bucket per group of at
+ *   least MIN_BUCKET_SIZE hires and an "All hires" bucket for months that only
+ *   share plan-wide totals
+ */
+export function redactScenario(scenario, { groupBy = 'role' } = {}) {
+  const existingBuckets = scenario.headcountBuckets || []
+  if (scenario.hires.length === 0) {
+    return { ...scenario, headcountBuckets: existingBuckets, redaction: { groupBy } }
+  }
+
+  const { monthly } = runBurnRate(scenario)
+  const groups = [...groupHires(scenario.hires, groupBy), { ...PLAN_WIDE, hireIds: [] }]
+  const planWide = groups[groups.length - 1]
+  const emptyMonths = () => monthly.map(() => 0)
+  groups.forEach((group) => {
+    group.figures = { headcount: emptyMonths() }
+    BUCKET_FIGURES.forEach(({ field }) => {
+      group.figures[field] = emptyMonths()
+    })
+  })
+
+  let exposesIndividuals = false
+  monthly.forEach((row, monthIndex) => {
+    for (const { field, byHire } of BUCKET_FIGURES) {
+      const perGroup = groups.map((group) => figureForMonth(row, byHire, group.hireIds))
+      // Every group goes into the total, as the total less the others would
+      // still give away the small group's figure
+      const sharesTotalOnly = perGroup.some(({ count }) => isTooFew(count))
+      let total = 0
+      perGroup.forEach(({ value, count }, index) => {
+        const group = sharesTotalOnly ? planWide : groups[index]
+        group.figures[field][monthIndex] += value
+        if (field === 'payroll') group.figures.headcount[monthIndex] += count
+        total += count
+      })
+      if (isTooFew(total)) exposesIndividuals = true
+    }
+  })
+
+  const takenIds = new Set(existingBuckets.map((bucket) => bucket.id))
+  const buckets = groups
+    .filter(({ figures }) => Object.values(figures).some((values) => values.some((value) => value !== 0)))
+    .map(({ key, label, figures }) => {
+      let id = `bucket_${toId(key.slice(key.indexOf(':') + 1)) || 'hires'}`
+      while (takenIds.has(id)) id = `${id}_x`
+      takenIds.add(id)
+
+      const bucket = { id, label, headcount: figures.headcount, payroll: figures.payroll }
+      // One-off and variable costs are left out when they are zero throughout
+      for (const field of ['commissions', 'hiringCosts', 'exitCosts']) {
+        if (figures[field].some((value) => value !== 0)) bucket[field] = figures[field]
+      }
+      return bucket
+    })
+
+  return {
+    ...scenario,
+    hires: [],
+    headcountBuckets: [...existingBuckets, ...buckets],
+    redaction: exposesIndividuals ? { groupBy, exposesIndividuals: true } : { groupBy },
+  }
+}
@@ -0,0 +1,232 @@
+/**
+ * Runway Planner
+ *
+ * Proposes cost-cutting changes that stretch a scenario's runway to a target.
+ * Every proposal is a complete, modified scenario that has been run through
+ * the burn engine, so it can be previewed or applied as-is.
+ */
+
+import { runBurnRate, estimateRunway, describeMonth, delayHireStart, isFounder } from '../engine.js'
+
+// Severance offered when the planner proposes letting someone go
+const PLANNER_SEVERANCE_WEEKS = 4
+
+// How many proposals to return
+const MAX_PROPOSALS = 6
+
+// Latest month a hire can be pushed back to: still inside the projection the
+// user sees, and no later than the hire's own last month
+function latestStartMonth(scenario, hire) {
+  return Math.min(scenario.projectionMonths - 1, hire.endMonth ?? Infinity)
+}
+
+// Months of runway for a scenario over at least `horizon` months,
+// or null if cash never runs out in that window
+function runwayOver(scenario, horizon) {
+  const result = runBurnRate({
+    ...scenario,
+    projectionMonths: Math.max(scenario.projectionMonths, horizon),
+  })
+  const runway = estimateRunway(result)
+  return runway.hasRunwayEnd ? runway.runwayMonths : null
+}
+
+// Unlimited runway sorts above any finite number of months
+function runwayRank(runwayMonths) {
+  return runwayMonths == null ? Infinity : runwayMonths
+}
+
+function reaches(runwayMonths, targetRunwayMonths) {
+  return runwayMonths == null || runwayMonths >= targetRunwayMonths
+}
+
+function layOffHire(hire, lastMonth) {
+  return {
+    ...hire,
+    endMonth: lastMonth,
+    endDate: undefined,
+    departure: { type: 'layoff', severanceWeeks: PLANNER_SEVERANCE_WEEKS, accruedPtoDays: 5 },
+  }
+}
+
+function withHire(scenario, updatedHire) {
+  return {
+    ...scenario,
+    hires: scenario.hires.map((hire) => (hire.id === updatedHire.id ? updatedHire : hire)),
+  }
+}
+
+// Shortest delay for one hire that reaches the target, else the shortest
+// delay that buys the most runway inside the horizon
+function proposeDelay(scenario, hire, targetRunwayMonths, horizon) {
+  let best = null
+  for (let months = 1; hire.startMonth + months <= latestStartMonth(scenario, hire); months += 1) {
+    const candidate = withHire(scenario, delayHireStart(hire, months))
+    const runwayMonths = runwayOver(candidate, horizon)
+    if (!best || runwayRank(runwayMonths) > runwayRank(best.runwayMonths)) {
+      best = { months, candidate, runwayMonths }
+    }
+    if (reaches(runwayMonths, targetRunwayMonths)) break
+  }
+  if (!best) return null
+  return {
+    id: `delay_${hire.id}`,
+    kind: 'delay_hire',
+    description: `Delay ${hire.title} by ${best.months} month${best.months === 1 ? '' : 's'}`,
+    scenario: best.candidate,
+    runwayMonths: best.runwayMonths,
+    headcountMonthsLost: best.months,
+  }
+}
+
+function proposeDropCost(scenario, cost, horizon) {
+  const candidate = {
+    ...scenario,
+    nonHeadcountCosts: scenario.nonHeadcountCosts.filter((c) => c.id !== cost.id),
+  }
+  return {
+    id: `drop_${cost.id}`,
+    kind: 'drop_cost',
+    description: `Drop ${cost.label}`,
+    scenario: candidate,
+    runwayMonths: runwayOver(candidate, horizon),
+    headcountMonthsLost: 0,
+  }
+}
+
+// Latest month a hire can be let go and still reach the target, else the
+// latest month that buys the most runway. The last day stays inside the
+// projection the user sees, and before the month the hire would leave anyway.
+function proposeReduction(scenario, hire, targetRunwayMonths, horizon) {
+  let best = null
+  const latestLastMonth = Math.min(scenario.projectionMonths - 2, (hire.endMonth ?? Infinity) - 1)
+  for (let lastMonth = latestLastMonth; lastMonth >= hire.startMonth; lastMonth -= 1) {
+    const candidate = withHire(scenario, layOffHire(hire, lastMonth))
+    const runwayMonths = runwayOver(candidate, horizon)
+    if (!best || runwayRank(runwayMonths) > runwayRank(best.runwayMonths)) {
+      best = { lastMonth, candidate, runwayMonths }
+    }
+    if (reaches(runwayMonths, targetRunwayMonths)) break
+  }
+  if (!best) return null
+  return {
+    id: `reduce_${hire.id}`,
+    kind: 'reduce_headcount',
+    description: `Let ${hire.title} go after ${describeMonth(scenario, best.lastMonth).label}`,
+    scenario: best.candidate,
+    runwayMonths: best.runwayMonths,
+    headcountMonthsLost: Math.min(horizon - 1, hire.endMonth ?? Infinity) - best.lastMonth,
+  }
+}
+
+// Greedy combination: drop the costs that buy the most runway first, then
+// push back whichever hire gains the most from a one-month delay until the
+// target is reached
+function proposeCombined(scenario, targetRunwayMonths, horizon, droppableCosts) {
+  let candidate = scenario
+  let runwayMonths = runwayOver(candidate, horizon)
+  let headcountMonthsLost = 0
+  const droppedCosts = []
+  // Months each hire has been pushed back, by hire id
+  const delays = new Map()
+
+  const droppable = droppableCosts
+    .map((cost) => proposeDropCost(scenario, cost, horizon))
+    .sort((a, b) => runwayRank(b.runwayMonths) - runwayRank(a.runwayMonths))
+
+  for (const { scenario: dropped } of droppable) {
+    if (reaches(runwayMonths, targetRunwayMonths)) break
+    const remaining = new Set(dropped.nonHeadcountCosts.map((cost) => cost.id))
+    const cost = scenario.nonHeadcountCosts.find((c) => !remaining.has(c.id))
+    candidate = {
+      ...candidate,
+      nonHeadcountCosts: candidate.nonHeadcountCosts.filter((c) => c.id !== cost.id),
+    }
+    droppedCosts.push(cost)
+    runwayMonths = runwayOver(candidate, horizon)
+  }
+
+  while (!reaches(runwayMonths, targetRunwayMonths)) {
+    let bestStep = null
+    for (const hire of candidate.hires) {
+      if (isFounder(hire) || hire.departure || hire.startMonth + 1 > latestStartMonth(scenario, hire)) continue
+      const next = withHire(candidate, delayHireStart(hire, 1))
+      const nextRunway = runwayOver(next, horizon)
+      if (!bestStep || runwayRank(nextRunway) > runwayRank(bestStep.runwayMonths)) {
+        bestStep = { hire, scenario: next, runwayMonths: nextRunway }
+      }
+    }
+    if (!bestStep) break
+    candidate = bestStep.scenario
+    runwayMonths = bestStep.runwayMonths
+    delays.set(bestStep.hire.id, (delays.get(bestStep.hire.id) || 0) + 1)
+    headcountMonthsLost += 1
+  }
+
+  const steps = []
+  if (droppedCosts.length > 0) {
+    steps.push(`drop ${droppedCosts.map((cost) => cost.label).join(', ')}`)
+  }
+  for (const [hireId, months] of delays) {
+    const hire = scenario.hires.find((h) => h.id === hireId)
+    steps.push(`delay ${hire.title} by ${months} month${months === 1 ? '' : 's'}`)
+  }
+  // A single step is already covered by the individual proposals
+  if (steps.length < 2) return null
+
+  return {
+    id: 'combined',
+    kind: 'combined',
+    description: `${steps.slice(0, -1).join(', ')} and ${steps[steps.length - 1]}`.replace(/^./, (c) => c.toUpperCase()),
+    scenario: candidate,
+    runwayMonths,
+    headcountMonthsLost,
+  }
+}
+
+/**
+ * Builds ranked proposals that extend a scenario's runway to a target
+ *
+ * Proposals that reach the target come first, ordered by the fewest
+ * headcount-months lost (one person missing for one month) and then by the
+ * longest runway. Proposals that fall short are kept after them so there is
+ * still something to try.
+ *
+ * @param {Object} scenario - The scenario object (from engine.js)
+ * @param {number} targetRunwayMonths - Runway the plan should reach
+ * @param {Object} [options]
+ * @param {string[]} [options.fixedCostIds=[]] - Non-headcount costs that must never be dropped
+ * @returns {Array<Object>} Proposals with id, kind, description, scenario, runwayMonths,
+ *   reachesTarget and headcountMonthsLost
+ */
+export function planRunwayExtension(scenario, targetRunwayMonths, { fixedCostIds = [] } = {}) {
+  const horizon = Math.max(scenario.projectionMonths, targetRunwayMonths)
+  const baselineRunway = runwayOver(scenario, horizon)
+  if (reaches(baselineRunway, targetRunwayMonths)) return []
+
+  const activeHires = scenario.hires.filter((hire) => !isFounder(hire) && !hire.departure)
+  const droppableCosts = scenario.nonHeadcountCosts.filter((cost) => !fixedCostIds.includes(cost.id))
+  const proposals = [
+    ...activeHires.map((hire) => proposeDelay(scenario, hire, targetRunwayMonths, horizon)),
+    ...droppableCosts.map((cost) => proposeDropCost(scenario, cost, horizon)),
+    ...activeHires.map((hire) => proposeReduction(scenario, hire, targetRunwayMonths, horizon)),
+    proposeCombined(scenario, targetRunwayMonths, horizon, droppableCosts),
+  ]
+    .filter(Boolean)
+    // Only keep changes that actually buy time
+    .filter((proposal) => proposal.runwayMonths == null || proposal.runwayMonths > baselineRunway)
+    .map((proposal) => ({
+      ...proposal,
+      reachesTarget: reaches(proposal.runwayMonths, targetRunwayMonths),
+    }))
+
+  return proposals
+    .sort((a, b) => {
+      if (a.reachesTarget !== b.reachesTarget) return a.reachesTarget ? -1 : 1
+      if (a.reachesTarget && a.headcountMonthsLost !== b.headcountMonthsLost) {
+        return a.headcountMonthsLost - b.headcountMonthsLost
+      }
+      return runwayRank(b.runwayMonths) - runwayRank(a.runwayMonths)
+    })
+    .slice(0, MAX_PROPOSALS)
+}
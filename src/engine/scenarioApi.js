@@ -0,0 +1,194 @@
+/**
+ * Saved Scenarios API
+ *
+ * Thin client for the backend's auth, workspace, scenario and share
+ * endpoints. Errors carry the HTTP status (error.status); callers treat
+ * errors without one as "offline" and fall back to localStorage or long
+ * share links. The session lives in an HTTP-only cookie the browser sends
+ * along with every request.
+ */
+
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(options.headers || {}),
+    },
+  })
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}))
+    const error = new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`)
+    error.status = response.status
+    throw error
+  }
+
+  return response.status === 204 ? null : response.json()
+}
+
+/**
+ * Fetches the signed-in user and their workspaces
+ *
+ * @returns {Promise<Object|null>} { user, workspaces }, or null when signed out
+ */
+export async function fetchSession() {
+  try {
+    return await request('/api/auth/session')
+  } catch (error) {
+    if (error.status === 401) return null
+    throw error
+  }
+}
+
+/**
+ * Signs in with a username and password
+ *
+ * @param {string} username - Account username
+ * @param {string} password - Account password
+ * @returns {Promise<Object>} { user, workspaces }
+ */
+export function signIn(username, password) {
+  return request('/api/auth/login', { method: 'POST', body: JSON.stringify({ username, password }) })
+}
+
+/**
+ * Creates an account, with a workspace it owns, and signs in
+ *
+ * @param {string} username - 3-32 letters, numbers, dots, dashes or underscores
+ * @param {string} password - At least 8 characters
+ * @returns {Promise<Object>} { user, workspaces }
+ */
+export function register(username, password) {
+  return request('/api/auth/register', { method: 'POST', body: JSON.stringify({ username, password }) })
+}
+
+/**
+ * Ends the current session
+ */
+export async function signOut() {
+  await request('/api/auth/logout', { method: 'POST' })
+}
+
+/**
+ * Creates a workspace owned by the signed-in user
+ *
+ * @param {string} name - Workspace name
+ * @returns {Promise<Object>} { id, name, role }
+ */
+export async function createWorkspace(name) {
+  const data = await request('/api/workspaces', { method: 'POST', body: JSON.stringify({ name }) })
+  return data.workspace
+}
+
+/**
+ * Lists a workspace's members
+ *
+ * @param {string} workspaceId - Workspace id
+ * @returns {Promise<Array<Object>>} Members as { username, role }
+ */
+export async function fetchMembers(workspaceId) {
+  const data = await request(`/api/workspaces/${encodeURIComponent(workspaceId)}/members`)
+  return data.members || []
+}
+
+/**
+ * Adds an existing account to a workspace or changes its role (owners only)
+ *
+ * @param {string} workspaceId - Workspace id
+ * @param {string} username - Account to add or change
+ * @param {string} role - 'owner', 'editor' or 'viewer'
+ */
+export async function putMember(workspaceId, username, role) {
+  await request(`/api/workspaces/${encodeURIComponent(workspaceId)}/members/${encodeURIComponent(username)}`, {
+    method: 'PUT',
+    body: JSON.stringify({ role }),
+  })
+}
+
+/**
+ * Removes a member from a workspace (owners only)
+ *
+ * @param {string} workspaceId - Workspace id
+ * @param {string} username - Member to remove
+ */
+export async function deleteMember(workspaceId, username) {
+  await request(`/api/workspaces/${encodeURIComponent(workspaceId)}/members/${encodeURIComponent(username)}`, {
+    method: 'DELETE',
+  })
+}
+
+function scenariosUrl(workspaceId, scenarioId) {
+  const base = `/api/workspaces/${encodeURIComponent(workspaceId)}/scenarios`
+  return scenarioId ? `${base}/${encodeURIComponent(scenarioId)}` : base
+}
+
+/**
+ * Fetches every scenario saved in a workspace
+ *
+ * @param {string} workspaceId - Workspace id
+ * @returns {Promise<Array<Object>>} Saved scenarios, as stored
+ */
+export async function fetchSavedScenarios(workspaceId) {
+  const data = await request(scenariosUrl(workspaceId))
+  return data.scenarios || []
+}
+
+/**
+ * Creates or replaces a saved scenario in a workspace
+ *
+ * @param {string} workspaceId - Workspace id
+ * @param {Object} scenario - The scenario to store; its id is kept
+ * @returns {Promise<Object>} The stored scenario
+ */
+export async function putSavedScenario(workspaceId, scenario) {
+  const data = await request(scenariosUrl(workspaceId, scenario.id), {
+    method: 'PUT',
+    body: JSON.stringify({ scenario }),
+  })
+  return data.scenario
+}
+
+/**
+ * Deletes a saved scenario from a workspace. A scenario that is already gone
+ * counts as deleted.
+ *
+ * @param {string} workspaceId - Workspace id
+ * @param {string} scenarioId - Id of the scenario to delete
+ */
+export async function deleteSavedScenario(workspaceId, scenarioId) {
+  try {
+    await request(scenariosUrl(workspaceId, scenarioId), { method: 'DELETE' })
+  } catch (error) {
+    if (error.status !== 404) throw error
+  }
+}
+
+/**
+ * Stores an immutable snapshot of a scenario for sharing
+ *
+ * @param {Object} scenario - The scenario to share
+ * @param {Object} [protection] - { expiresInDays } to require an access token
+ * @returns {Promise<Object>} { slug, token?, expiresAt? }; token and expiresAt only for protected shares
+ */
+export async function createShare(scenario, protection) {
+  const data = await request('/api/share', {
+    method: 'POST',
+    body: JSON.stringify({ scenario, protection }),
+  })
+  return { slug: data.slug, token: data.token, expiresAt: data.expiresAt }
+}
+
+/**
+ * Fetches the scenario snapshot behind a share slug
+ *
+ * @param {string} slug - Slug from a /s/:slug link
+ * @param {string|null} [token] - Access token for protected shares
+ * @returns {Promise<Object>} The shared scenario, as stored
+ */
+export async function fetchShare(slug, token) {
+  const data = await request(`/api/share/${encodeURIComponent(slug)}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  })
+  return data.scenario
+}
@@ -0,0 +1,201 @@
+/**
+ * Scenario Codec
+ *
+ * Packs a scenario into a short, URL-safe string for self-contained share
+ * links. Records become arrays keyed by a fixed field order, hires built from
+ * a role keep only the role id when their title and salary match it, and
+ * the result is deflated and base64url-encoded behind a version prefix
+ * ("1.<data>").
+ *
+ * For any scenario that passes validation, decodeScenario(encodeScenario(s))
+ * gives back the same scenario a JSON round trip of s would. Links from before
+ * the codec (plain JSON) still decode.
+ */
+
+import { deflateSync, inflateSync, strFromU8, strToU8 } from 'fflate'
+import { availableRoles } from '../engine.js'
+
+export const CODEC_VERSION = 1
+
+// Field orders for version 1. Only ever append to these lists: the position
+// of a field is what an encoded link stores.
+const SCENARIO_FIELDS = [
+  'schemaVersion',
+  'id',
+  'name',
+  'startingCash',
+  'currency',
+  'projectionMonths',
+  'employeeCostMultiplier',
+  'startDate',
+  'fiscalYearStartMonth',
+  'raiseCycleMonth',
+  'employerCostTable',
+  'hires',
+  'nonHeadcountCosts',
+  'revenueStreams',
+  'financingEvents',
+  'headcountBuckets',
+  'redaction',
+]
+const HIRE_FIELDS = [
+  'id',
+  'roleId',
+  'title',
+  'annualSalary',
+  'startMonth',
+  'endMonth',
+  'startDate',
+  'endDate',
+  'annualRaiseRate',
+  'location',
+  'salaryLevel',
+  'country',
+  'hiringCosts',
+  'variableComp',
+  'departure',
+  'promotions',
+]
+const PROMOTION_FIELDS = ['month', 'annualSalary', 'title']
+const COST_FIELDS = ['id', 'label', 'monthlyAmount', 'startMonth', 'endMonth', 'isOneTime', 'startDate', 'endDate']
+const REVENUE_FIELDS = ['id', 'label', 'startingMrr', 'monthlyGrowthRate', 'monthlyChurnRate', 'startMonth']
+const FINANCING_FIELDS = ['id', 'label', 'type', 'amount', 'month', 'committed', 'annualInterestRate']
+const BUCKET_FIELDS = ['id', 'label', 'headcount', 'payroll', 'commissions', 'hiringCosts', 'exitCosts']
+
+// Role fields a hire can leave out when they match its role
+const ROLE_DEFAULT_FIELDS = ['title', 'annualSalary']
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+// Packs a record into [value per field..., extras?]. Missing fields are null,
+// and trailing nulls are dropped when there are no extras. Fields that aren't in the list, or that
+// hold null themselves, go into a trailing extras object so nothing is lost.
+function packRecord(record, fields, packers = {}) {
+  const packed = []
+  const extras = {}
+
+  for (const [key, value] of Object.entries(record)) {
+    if (value === undefined) continue
+    const index = fields.indexOf(key)
+    if (index === -1 || value === null) {
+      extras[key] = value
+    } else if (packers[key] && Array.isArray(value)) {
+      packed[index] = value.map((item) => (isPlainObject(item) ? packers[key](item) : item))
+    } else if (packers[key]) {
+      extras[key] = value
+    } else {
+      packed[index] = value
+    }
+  }
+
+  const values = Array.from({ length: fields.length }, (_, index) => packed[index] ?? null)
+  if (Object.keys(extras).length > 0) return [...values, extras]
+  while (values.length > 0 && values[values.length - 1] === null) values.pop()
+  return values
+}
+
+function unpackRecord(values, fields, unpackers = {}) {
+  if (!Array.isArray(values)) throw new Error('Encoded record is not a list')
+
+  const record = {}
+  fields.forEach((field, index) => {
+    const value = values[index]
+    if (value == null) return
+    record[field] = unpackers[field] && Array.isArray(value)
+      ? value.map((item) => (Array.isArray(item) ? unpackers[field](item) : item))
+      : value
+  })
+  const extras = values[fields.length]
+  return isPlainObject(extras) ? { ...record, ...extras } : record
+}
+
+function packHire(hire) {
+  const role = availableRoles.find((r) => r.id === hire.roleId)
+  const compact = { ...hire }
+  if (role) {
+    for (const field of ROLE_DEFAULT_FIELDS) {
+      if (compact[field] === role[field]) delete compact[field]
+    }
+  }
+  return packRecord(compact, HIRE_FIELDS, { promotions: (promotion) => packRecord(promotion, PROMOTION_FIELDS) })
+}
+
+function unpackHire(values) {
+  const hire = unpackRecord(values, HIRE_FIELDS, {
+    promotions: (promotion) => unpackRecord(promotion, PROMOTION_FIELDS),
+  })
+  const role = availableRoles.find((r) => r.id === hire.roleId)
+  if (role) {
+    for (const field of ROLE_DEFAULT_FIELDS) {
+      if (hire[field] === undefined) hire[field] = role[field]
+    }
+  }
+  return hire
+}
+
+const SCENARIO_PACKERS = {
+  hires: packHire,
+  nonHeadcountCosts: (cost) => packRecord(cost, COST_FIELDS),
+  revenueStreams: (stream) => packRecord(stream, REVENUE_FIELDS),
+  financingEvents: (event) => packRecord(event, FINANCING_FIELDS),
+  headcountBuckets: (bucket) => packRecord(bucket, BUCKET_FIELDS),
+}
+
+const SCENARIO_UNPACKERS = {
+  hires: unpackHire,
+  nonHeadcountCosts: (values) => unpackRecord(values, COST_FIELDS),
+  revenueStreams: (values) => unpackRecord(values, REVENUE_FIELDS),
+  financingEvents: (values) => unpackRecord(values, FINANCING_FIELDS),
+  headcountBuckets: (values) => unpackRecord(values, BUCKET_FIELDS),
+}
+
+function toBase64Url(bytes) {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/')
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='))
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0))
+}
+
+/**
+ * Encodes a scenario for a share link
+ *
+ * @param {Object} scenario - Scenario to encode
+ * @returns {string} URL-safe string, e.g. "1.eNqrVkrOz..."
+ */
+export function encodeScenario(scenario) {
+  const packed = JSON.stringify(packRecord(JSON.parse(JSON.stringify(scenario)), SCENARIO_FIELDS, SCENARIO_PACKERS))
+  return `${CODEC_VERSION}.${toBase64Url(deflateSync(strToU8(packed), { level: 9 }))}`
+}
+
+/**
+ * Decodes a scenario from a share link. Accepts codec strings as well as the
+ * plain JSON older links carry (optionally still URI-encoded).
+ *
+ * @param {string} text - The scenario parameter from a share link
+ * @returns {Object} The scenario, not yet migrated or validated
+ * @throws {Error} When the text can't be decoded
+ */
+export function decodeScenario(text) {
+  const trimmed = text.trim()
+  if (trimmed.startsWith('{')) return JSON.parse(trimmed)
+  if (/^%7B/i.test(trimmed)) return JSON.parse(decodeURIComponent(trimmed))
+
+  const match = trimmed.match(/^(\d+)\.([A-Za-z0-9_-]+)$/)
+  if (!match) throw new Error('Not an encoded scenario')
+
+  const version = Number(match[1])
+  if (version !== CODEC_VERSION) {
+    throw new Error(`Encoded with link format ${version}, but this app only reads format ${CODEC_VERSION}`)
+  }
+  const packed = JSON.parse(strFromU8(inflateSync(fromBase64Url(match[2]))))
+  return unpackRecord(packed, SCENARIO_FIELDS, SCENARIO_UNPACKERS)
+}
@@ -0,0 +1,150 @@
+/**
+ * Scenario Diff
+ *
+ * Structural comparison of two scenarios: which hires were added, removed,
+ * moved or otherwise changed, which costs, revenue streams and financing
+ * events changed, and which top-level settings differ. Everything is matched
+ * by id, so a scenario opened from a shared link lines up with the version it
+ * was shared from.
+ */
+
+import { runBurnRate, estimateRunway, baseAnnualSalary } from '../engine.js'
+
+// Top-level ScenarioInput fields worth reporting, with display labels
+const TOP_LEVEL_FIELDS = [
+  ['name', 'Name'],
+  ['currency', 'Currency'],
+  ['startingCash', 'Starting cash'],
+  ['employeeCostMultiplier', 'Salary multiplier'],
+  ['projectionMonths', 'Projection months'],
+  ['startDate', 'Plan start'],
+  ['fiscalYearStartMonth', 'Fiscal year start'],
+  ['raiseCycleMonth', 'Raise cycle month'],
+]
+
+// Hire fields compared besides the start and salary, which get their own lists
+const HIRE_FIELDS = ['endMonth', 'endDate', 'departure', 'location', 'country']
+
+// Fields compared for costs, revenue streams and financing events present in
+// both scenarios
+const COST_FIELDS = ['label', 'monthlyAmount', 'startMonth', 'endMonth', 'startDate', 'endDate', 'isOneTime']
+const REVENUE_FIELDS = ['label', 'startingMrr', 'monthlyGrowthRate', 'monthlyChurnRate', 'startMonth']
+const FINANCING_FIELDS = ['label', 'type', 'amount', 'month', 'committed', 'annualInterestRate']
+
+function byId(items) {
+  return new Map((items || []).map((item) => [item.id, item]))
+}
+
+// Departures are objects, so compare them by what they contain
+function fieldKey(field, value) {
+  if (value == null) return null
+  if (field === 'departure') return `${value.type}|${value.severanceWeeks ?? 0}|${value.accruedPtoDays ?? 0}`
+  return value
+}
+
+function changedFields(previous, current, fields) {
+  return fields
+    .filter((field) => fieldKey(field, previous[field]) !== fieldKey(field, current[field]))
+    .map((field) => ({ field, from: previous[field] ?? null, to: current[field] ?? null }))
+}
+
+function diffHires(before, after) {
+  const beforeById = byId(before)
+  const afterById = byId(after)
+
+  const added = after.filter((hire) => !beforeById.has(hire.id))
+  const removed = before.filter((hire) => !afterById.has(hire.id))
+  const moved = []
+  const salaryChanged = []
+  const changed = []
+
+  after.forEach((hire) => {
+    const previous = beforeById.get(hire.id)
+    if (!previous) return
+    // Day-level dates can move within the same month, so both are reported
+    if (previous.startMonth !== hire.startMonth || (previous.startDate || null) !== (hire.startDate || null)) {
+      moved.push({
+        hire,
+        fromMonth: previous.startMonth,
+        toMonth: hire.startMonth,
+        fromDate: previous.startDate || null,
+        toDate: hire.startDate || null,
+      })
+    }
+    const fromSalary = baseAnnualSalary(previous)
+    const toSalary = baseAnnualSalary(hire)
+    if (fromSalary !== toSalary) {
+      salaryChanged.push({ hire, from: fromSalary, to: toSalary })
+    }
+    const changes = changedFields(previous, hire, HIRE_FIELDS)
+    if (changes.length > 0) {
+      changed.push({ hire, changes })
+    }
+  })
+
+  return { added, removed, moved, salaryChanged, changed }
+}
+
+// Added, removed and changed records for costs, revenue streams and financing events
+function diffRecords(before, after, fields) {
+  const beforeById = byId(before)
+  const afterById = byId(after)
+
+  const changed = (after || [])
+    .filter((item) => beforeById.has(item.id))
+    .map((item) => ({ item, changes: changedFields(beforeById.get(item.id), item, fields) }))
+    .filter(({ changes }) => changes.length > 0)
+
+  return {
+    added: (after || []).filter((item) => !beforeById.has(item.id)),
+    removed: (before || []).filter((item) => !afterById.has(item.id)),
+    changed,
+  }
+}
+
+/**
+ * Compares two scenarios and the runway each one produces
+ *
+ * @param {Object} before - The scenario to compare against (e.g. our version)
+ * @param {Object} after - The scenario being inspected (e.g. from a shared link)
+ * @returns {Object} Object with hires (added, removed, moved, salaryChanged, changed),
+ *   costs, revenueStreams and financingEvents (each added, removed, changed), fields,
+ *   runway (before, after, deltaMonths) and hasChanges
+ */
+export function diffScenarios(before, after) {
+  const hires = diffHires(before.hires, after.hires)
+  const costs = diffRecords(before.nonHeadcountCosts, after.nonHeadcountCosts, COST_FIELDS)
+  const revenueStreams = diffRecords(before.revenueStreams, after.revenueStreams, REVENUE_FIELDS)
+  const financingEvents = diffRecords(before.financingEvents, after.financingEvents, FINANCING_FIELDS)
+  const fields = TOP_LEVEL_FIELDS.filter(([field]) => (before[field] ?? null) !== (after[field] ?? null)).map(
+    ([field, label]) => ({ field, label, from: before[field] ?? null, to: after[field] ?? null })
+  )
+
+  const runwayBefore = estimateRunway(runBurnRate(before))
+  const runwayAfter = estimateRunway(runBurnRate(after))
+
+  const hasChanges =
+    fields.length > 0 ||
+    Object.values(hires).some((list) => list.length > 0) ||
+    [costs, revenueStreams, financingEvents].some((records) =>
+      Object.values(records).some((list) => list.length > 0)
+    )
+
+  return {
+    hires,
+    costs,
+    revenueStreams,
+    financingEvents,
+    fields,
+    runway: {
+      before: runwayBefore,
+      after: runwayAfter,
+      // Only a number when both plans run out of cash inside their projections
+      deltaMonths:
+        runwayBefore.hasRunwayEnd && runwayAfter.hasRunwayEnd
+          ? runwayAfter.runwayMonths - runwayBefore.runwayMonths
+          : null,
+    },
+    hasChanges,
+  }
+}
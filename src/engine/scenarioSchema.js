@@ -0,0 +1,326 @@
+/**
+ * Scenario Schema
+ *
+ * Scenarios arrive from share links, localStorage and the server, and any of
+ * them can be old or malformed. Every loaded scenario is migrated up to
+ * SCENARIO_SCHEMA_VERSION and then validated, so the dashboard either gets a
+ * scenario the engine can run or a list of field-level errors to show.
+ */
+
+import { SCENARIO_SCHEMA_VERSION, defaultEmployerCostTable, financingTypes, locationTiers } from '../engine.js'
+
+// Each migration takes a scenario at version N and returns it at N + 1
+const MIGRATIONS = {
+  // Version 1 is the original MVP shape with no schemaVersion. Version 2 relies
+  // on stable ids for hires and costs (editing, diffs and share links use them).
+  1: (scenario) => ({
+    ...scenario,
+    schemaVersion: 2,
+    hires: Array.isArray(scenario.hires)
+      ? scenario.hires.map((hire, index) => ({ ...hire, id: hire?.id || `hire_${index + 1}` }))
+      : scenario.hires,
+    nonHeadcountCosts: Array.isArray(scenario.nonHeadcountCosts)
+      ? scenario.nonHeadcountCosts.map((cost, index) => ({ ...cost, id: cost?.id || `cost_${index + 1}` }))
+      : scenario.nonHeadcountCosts,
+  }),
+  // Version 3 adds headcountBuckets for redacted scenarios. Nothing to change,
+  // but older apps must not open redacted scenarios and silently drop the buckets.
+  2: (scenario) => ({ ...scenario, schemaVersion: 3 }),
+}
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}(-\d{2})?$/
+const ISO_DATE_MESSAGE = 'must be a YYYY-MM or YYYY-MM-DD date'
+
+const SALARY_LEVELS = ['min', 'median', 'max']
+const CAP_PERIODS = ['year', 'month']
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value)
+}
+
+function isMonthIndex(value) {
+  return Number.isInteger(value) && value >= 0
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function isOptionalAmount(value) {
+  return value == null || (isNumber(value) && value >= 0)
+}
+
+// Small helper that collects errors as { path, message }
+function createChecker() {
+  const errors = []
+  const check = (condition, path, message) => {
+    if (!condition) errors.push({ path, message })
+    return condition
+  }
+  return { errors, check }
+}
+
+function validateHire(hire, path, check, employerCostTable) {
+  if (!check(hire && typeof hire === 'object', path, 'must be an object')) return
+  check(typeof hire.id === 'string' && hire.id !== '', `${path}.id`, 'must be a non-empty string')
+  check(typeof hire.title === 'string' && hire.title !== '', `${path}.title`, 'must be a non-empty string')
+  check(isNumber(hire.annualSalary) && hire.annualSalary >= 0, `${path}.annualSalary`, 'must be a number of 0 or more')
+  check(isMonthIndex(hire.startMonth), `${path}.startMonth`, 'must be a whole month of 0 or more')
+  if (hire.endMonth != null) {
+    check(
+      isMonthIndex(hire.endMonth) && hire.endMonth >= hire.startMonth,
+      `${path}.endMonth`,
+      'must be a whole month on or after startMonth'
+    )
+  }
+  for (const field of ['startDate', 'endDate']) {
+    if (hire[field] != null) {
+      check(ISO_DATE_PATTERN.test(hire[field]), `${path}.${field}`, ISO_DATE_MESSAGE)
+    }
+  }
+  if (hire.location != null) {
+    check(
+      locationTiers.some((tier) => tier.id === hire.location),
+      `${path}.location`,
+      `must be one of ${locationTiers.map((tier) => tier.id).join(', ')}`
+    )
+  }
+  if (hire.salaryLevel != null) {
+    check(SALARY_LEVELS.includes(hire.salaryLevel), `${path}.salaryLevel`, `must be one of ${SALARY_LEVELS.join(', ')}`)
+  }
+  if (hire.country != null) {
+    check(
+      typeof hire.country === 'string' && Object.hasOwn(employerCostTable, hire.country),
+      `${path}.country`,
+      'must be a country in the employer cost table'
+    )
+  }
+  if (hire.annualRaiseRate != null) {
+    check(isNumber(hire.annualRaiseRate) && hire.annualRaiseRate >= 0, `${path}.annualRaiseRate`, 'must be 0 or more')
+  }
+  if (hire.promotions != null && check(Array.isArray(hire.promotions), `${path}.promotions`, 'must be a list')) {
+    hire.promotions.forEach((promotion, index) => {
+      const promotionPath = `${path}.promotions[${index}]`
+      check(isMonthIndex(promotion?.month), `${promotionPath}.month`, 'must be a whole month of 0 or more')
+      check(isNumber(promotion?.annualSalary), `${promotionPath}.annualSalary`, 'must be a number')
+    })
+  }
+  if (hire.departure != null && check(isPlainObject(hire.departure), `${path}.departure`, 'must be an object')) {
+    check(
+      ['voluntary', 'layoff'].includes(hire.departure.type),
+      `${path}.departure.type`,
+      'must be "voluntary" or "layoff"'
+    )
+    for (const field of ['severanceWeeks', 'accruedPtoDays']) {
+      check(isOptionalAmount(hire.departure[field]), `${path}.departure.${field}`, 'must be a number of 0 or more')
+    }
+    check(hire.endMonth != null || hire.endDate != null, `${path}.endMonth`, 'is required when a departure is set')
+  }
+}
+
+function validateCost(cost, path, check) {
+  if (!check(cost && typeof cost === 'object', path, 'must be an object')) return
+  check(typeof cost.id === 'string' && cost.id !== '', `${path}.id`, 'must be a non-empty string')
+  check(typeof cost.label === 'string', `${path}.label`, 'must be a string')
+  check(isNumber(cost.monthlyAmount), `${path}.monthlyAmount`, 'must be a number')
+  check(isMonthIndex(cost.startMonth), `${path}.startMonth`, 'must be a whole month of 0 or more')
+  if (cost.endMonth != null) {
+    check(
+      isMonthIndex(cost.endMonth) && cost.endMonth >= cost.startMonth,
+      `${path}.endMonth`,
+      'must be a whole month on or after startMonth'
+    )
+  }
+  for (const field of ['startDate', 'endDate']) {
+    if (cost[field] != null) {
+      check(ISO_DATE_PATTERN.test(cost[field]), `${path}.${field}`, ISO_DATE_MESSAGE)
+    }
+  }
+}
+
+// Overrides replace a whole country profile, so each one must be complete
+function validateEmployerCostProfile(profile, path, check) {
+  if (!check(isPlainObject(profile), path, 'must be an object')) return
+  check(typeof profile.label === 'string', `${path}.label`, 'must be a string')
+  check(
+    isNumber(profile.monthlyBenefitsPerHead) && profile.monthlyBenefitsPerHead >= 0,
+    `${path}.monthlyBenefitsPerHead`,
+    'must be a number of 0 or more'
+  )
+  if (!check(Array.isArray(profile.contributions), `${path}.contributions`, 'must be a list')) return
+  profile.contributions.forEach((contribution, index) => {
+    const contributionPath = `${path}.contributions[${index}]`
+    if (!check(isPlainObject(contribution), contributionPath, 'must be an object')) return
+    check(isNumber(contribution.rate) && contribution.rate >= 0, `${contributionPath}.rate`, 'must be a number of 0 or more')
+    for (const field of ['threshold', 'wageBaseCap']) {
+      check(isOptionalAmount(contribution[field]), `${contributionPath}.${field}`, 'must be a number of 0 or more')
+    }
+    if (contribution.capPeriod != null) {
+      check(
+        CAP_PERIODS.includes(contribution.capPeriod),
+        `${contributionPath}.capPeriod`,
+        `must be one of ${CAP_PERIODS.join(', ')}`
+      )
+    }
+  })
+}
+
+function validateRevenueStream(stream, path, check) {
+  if (!check(stream && typeof stream === 'object', path, 'must be an object')) return
+  check(isNumber(stream.startingMrr) && stream.startingMrr >= 0, `${path}.startingMrr`, 'must be a number of 0 or more')
+  check(isMonthIndex(stream.startMonth), `${path}.startMonth`, 'must be a whole month of 0 or more')
+  if (stream.monthlyGrowthRate != null) {
+    check(isNumber(stream.monthlyGrowthRate), `${path}.monthlyGrowthRate`, 'must be a number')
+  }
+}
+
+function isNumberList(value) {
+  return Array.isArray(value) && value.every(isNumber)
+}
+
+function validateHeadcountBucket(bucket, path, check) {
+  if (!check(bucket && typeof bucket === 'object', path, 'must be an object')) return
+  check(typeof bucket.id === 'string' && bucket.id !== '', `${path}.id`, 'must be a non-empty string')
+  check(typeof bucket.label === 'string', `${path}.label`, 'must be a string')
+  check(isNumberList(bucket.headcount), `${path}.headcount`, 'must be a list of numbers')
+  check(isNumberList(bucket.payroll), `${path}.payroll`, 'must be a list of numbers')
+  for (const field of ['commissions', 'hiringCosts', 'exitCosts']) {
+    if (bucket[field] != null) {
+      check(isNumberList(bucket[field]), `${path}.${field}`, 'must be a list of numbers')
+    }
+  }
+}
+
+function validateFinancingEvent(event, path, check) {
+  if (!check(event && typeof event === 'object', path, 'must be an object')) return
+  check(
+    financingTypes.some((type) => type.id === event.type),
+    `${path}.type`,
+    `must be one of ${financingTypes.map((type) => type.id).join(', ')}`
+  )
+  check(isNumber(event.amount) && event.amount >= 0, `${path}.amount`, 'must be a number of 0 or more')
+  check(isMonthIndex(event.month), `${path}.month`, 'must be a whole month of 0 or more')
+}
+
+/**
+ * Validates a scenario against the current schema
+ *
+ * @param {Object} scenario - Scenario at SCENARIO_SCHEMA_VERSION
+ * @returns {Array<Object>} Errors as { path, message }; empty when the scenario is valid
+ */
+export function validateScenario(scenario) {
+  const { errors, check } = createChecker()
+  if (!check(scenario && typeof scenario === 'object' && !Array.isArray(scenario), 'scenario', 'must be an object')) {
+    return errors
+  }
+
+  check(scenario.schemaVersion === SCENARIO_SCHEMA_VERSION, 'schemaVersion', `must be ${SCENARIO_SCHEMA_VERSION}`)
+  check(typeof scenario.name === 'string', 'name', 'must be a string')
+  check(isNumber(scenario.startingCash), 'startingCash', 'must be a number')
+  check(typeof scenario.currency === 'string' && scenario.currency !== '', 'currency', 'must be a currency code')
+  check(
+    Number.isInteger(scenario.projectionMonths) && scenario.projectionMonths >= 1 && scenario.projectionMonths <= 120,
+    'projectionMonths',
+    'must be a whole number from 1 to 120'
+  )
+  check(
+    isNumber(scenario.employeeCostMultiplier) && scenario.employeeCostMultiplier > 0,
+    'employeeCostMultiplier',
+    'must be a number above 0'
+  )
+  if (scenario.startDate != null) {
+    check(ISO_DATE_PATTERN.test(scenario.startDate), 'startDate', ISO_DATE_MESSAGE)
+  }
+  for (const field of ['fiscalYearStartMonth', 'raiseCycleMonth']) {
+    if (scenario[field] != null) {
+      check(Number.isInteger(scenario[field]) && scenario[field] >= 0 && scenario[field] <= 11, field, 'must be a month from 0 to 11')
+    }
+  }
+
+  let employerCostTable = defaultEmployerCostTable
+  if (
+    scenario.employerCostTable != null &&
+    check(isPlainObject(scenario.employerCostTable), 'employerCostTable', 'must be an object')
+  ) {
+    for (const [country, profile] of Object.entries(scenario.employerCostTable)) {
+      validateEmployerCostProfile(profile, `employerCostTable.${country}`, check)
+    }
+    employerCostTable = { ...defaultEmployerCostTable, ...scenario.employerCostTable }
+  }
+
+  if (check(Array.isArray(scenario.hires), 'hires', 'must be a list')) {
+    scenario.hires.forEach((hire, index) => validateHire(hire, `hires[${index}]`, check, employerCostTable))
+  }
+  if (check(Array.isArray(scenario.nonHeadcountCosts), 'nonHeadcountCosts', 'must be a list')) {
+    scenario.nonHeadcountCosts.forEach((cost, index) => validateCost(cost, `nonHeadcountCosts[${index}]`, check))
+  }
+  if (
+    scenario.revenueStreams != null &&
+    check(Array.isArray(scenario.revenueStreams), 'revenueStreams', 'must be a list')
+  ) {
+    scenario.revenueStreams.forEach((stream, index) => validateRevenueStream(stream, `revenueStreams[${index}]`, check))
+  }
+  if (
+    scenario.financingEvents != null &&
+    check(Array.isArray(scenario.financingEvents), 'financingEvents', 'must be a list')
+  ) {
+    scenario.financingEvents.forEach((event, index) => validateFinancingEvent(event, `financingEvents[${index}]`, check))
+  }
+  if (
+    scenario.headcountBuckets != null &&
+    check(Array.isArray(scenario.headcountBuckets), 'headcountBuckets', 'must be a list')
+  ) {
+    scenario.headcountBuckets.forEach((bucket, index) => validateHeadcountBucket(bucket, `headcountBuckets[${index}]`, check))
+  }
+
+  return errors
+}
+
+/**
+ * Migrates a scenario from any known version up to SCENARIO_SCHEMA_VERSION
+ *
+ * @param {Object} scenario - Scenario as stored or shared; no schemaVersion means version 1
+ * @returns {Object} Object with the migrated scenario, or errors when it cannot be migrated
+ */
+export function migrateScenario(scenario) {
+  if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+    return { scenario: null, errors: [{ path: 'scenario', message: 'must be an object' }] }
+  }
+
+  let version = scenario.schemaVersion ?? 1
+  if (!Number.isInteger(version) || version < 1) {
+    return { scenario: null, errors: [{ path: 'schemaVersion', message: 'must be a whole number of 1 or more' }] }
+  }
+  if (version > SCENARIO_SCHEMA_VERSION) {
+    return {
+      scenario: null,
+      errors: [
+        {
+          path: 'schemaVersion',
+          message: `is ${version}, but this app only understands up to version ${SCENARIO_SCHEMA_VERSION}. Try reloading for the latest version.`,
+        },
+      ],
+    }
+  }
+
+  let migrated = scenario
+  while (version < SCENARIO_SCHEMA_VERSION) {
+    migrated = MIGRATIONS[version](migrated)
+    version += 1
+  }
+  return { scenario: migrated, errors: [] }
+}
+
+/**
+ * Migrates and validates a loaded scenario in one step
+ *
+ * @param {Object} raw - Parsed scenario from a share link, localStorage or the server
+ * @returns {Object} Object with scenario (null when invalid) and field-level errors
+ */
+export function loadScenario(raw) {
+  const migration = migrateScenario(raw)
+  if (migration.errors.length > 0) return migration
+
+  const errors = validateScenario(migration.scenario)
+  return { scenario: errors.length > 0 ? null : migration.scenario, errors }
+}
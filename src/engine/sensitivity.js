@@ -0,0 +1,144 @@
+/**
+ * Sensitivity Analysis
+ *
+ * Nudges one input at a time up and down, re-runs the burn engine, and ranks
+ * the inputs by how far they move runway. The result feeds a tornado chart.
+ */
+
+import { runBurnRate, estimateRunway, delayHireStart, isFounder, scaleHireSalary } from '../engine.js'
+
+// Look this far ahead so plans that survive their own projection still show
+// a runway that can move
+const ANALYSIS_HORIZON_MONTHS = 60
+
+// Runway in fractional months: whole months of cash plus the share of the
+// cash-out month that the remaining balance covers. Capped at the horizon.
+function fractionalRunway(scenario) {
+  const result = runBurnRate({
+    ...scenario,
+    projectionMonths: Math.max(scenario.projectionMonths, ANALYSIS_HORIZON_MONTHS),
+  })
+  const runway = estimateRunway(result)
+  if (!runway.hasRunwayEnd) return result.monthly.length
+
+  const cashOutMonth = runway.cashOutMonth
+  const openingCash = cashOutMonth === 0 ? scenario.startingCash : result.monthly[cashOutMonth - 1].closingCash
+  const closingCash = result.monthly[cashOutMonth].closingCash
+  const coveredShare = openingCash > 0 ? openingCash / (openingCash - closingCash) : 0
+  return cashOutMonth + coveredShare
+}
+
+function withHire(scenario, updatedHire) {
+  return {
+    ...scenario,
+    hires: scenario.hires.map((hire) => (hire.id === updatedHire.id ? updatedHire : hire)),
+  }
+}
+
+function withCost(scenario, updatedCost) {
+  return {
+    ...scenario,
+    nonHeadcountCosts: scenario.nonHeadcountCosts.map((cost) =>
+      cost.id === updatedCost.id ? updatedCost : cost
+    ),
+  }
+}
+
+// Every driver as { id, label, lowLabel, highLabel, low, high } where low and
+// high are the perturbed scenarios
+function buildDrivers(scenario, perturbation, startMonthShift) {
+  const percentLabel = `${Math.round(perturbation * 100)}%`
+  const down = 1 - perturbation
+  const up = 1 + perturbation
+  const drivers = [
+    {
+      id: 'startingCash',
+      label: 'Starting cash',
+      low: { ...scenario, startingCash: scenario.startingCash * down },
+      high: { ...scenario, startingCash: scenario.startingCash * up },
+    },
+    {
+      id: 'employeeCostMultiplier',
+      label: 'Salary multiplier',
+      low: { ...scenario, employeeCostMultiplier: scenario.employeeCostMultiplier * down },
+      high: { ...scenario, employeeCostMultiplier: scenario.employeeCostMultiplier * up },
+    },
+  ].map((driver) => ({ ...driver, lowLabel: `-${percentLabel}`, highLabel: `+${percentLabel}` }))
+
+  scenario.hires.forEach((hire) => {
+    drivers.push({
+      id: `salary_${hire.id}`,
+      label: `${hire.title} salary`,
+      lowLabel: `-${percentLabel}`,
+      highLabel: `+${percentLabel}`,
+      low: withHire(scenario, scaleHireSalary(hire, down)),
+      high: withHire(scenario, scaleHireSalary(hire, up)),
+    })
+  })
+
+  // Founders are already on payroll, so only planned hires can move
+  scenario.hires
+    .filter((hire) => !isFounder(hire))
+    .forEach((hire) => {
+      const earlier = Math.min(startMonthShift, hire.startMonth)
+      drivers.push({
+        id: `start_${hire.id}`,
+        label: `${hire.title} start month`,
+        lowLabel: earlier > 0 ? `${earlier} mo earlier` : 'unchanged',
+        highLabel: `${startMonthShift} mo later`,
+        low: earlier > 0 ? withHire(scenario, delayHireStart(hire, -earlier)) : scenario,
+        high: withHire(scenario, delayHireStart(hire, startMonthShift)),
+      })
+    })
+
+  scenario.nonHeadcountCosts.forEach((cost) => {
+    drivers.push({
+      id: `cost_${cost.id}`,
+      label: cost.label,
+      lowLabel: `-${percentLabel}`,
+      highLabel: `+${percentLabel}`,
+      low: withCost(scenario, { ...cost, monthlyAmount: cost.monthlyAmount * down }),
+      high: withCost(scenario, { ...cost, monthlyAmount: cost.monthlyAmount * up }),
+    })
+  })
+
+  return drivers
+}
+
+/**
+ * Ranks scenario inputs by how much they move runway
+ *
+ * Starting cash, the salary multiplier, every hire's salary and every
+ * non-headcount cost are moved by ±`perturbation`. Hire start months are
+ * moved by ±`startMonthShift` whole months, never before month 1.
+ *
+ * @param {Object} scenario - The scenario object (from engine.js)
+ * @param {Object} options
+ * @param {number} options.perturbation - Relative change applied to each input (0.1 = ±10%)
+ * @param {number} options.startMonthShift - Months to move each hire's start
+ * @returns {Object} Object with baselineRunwayMonths and drivers sorted by swing, each
+ *   with lowRunwayMonths, highRunwayMonths and swing in fractional months
+ */
+export function analyzeSensitivity(scenario, { perturbation = 0.1, startMonthShift = 1 } = {}) {
+  const baselineRunwayMonths = fractionalRunway(scenario)
+
+  const drivers = buildDrivers(scenario, perturbation, startMonthShift)
+    .map(({ low, high, ...driver }) => {
+      const lowRunwayMonths = fractionalRunway(low)
+      const highRunwayMonths = fractionalRunway(high)
+      return {
+        ...driver,
+        lowRunwayMonths,
+        highRunwayMonths,
+        swing: Math.abs(highRunwayMonths - lowRunwayMonths),
+      }
+    })
+    .sort((a, b) => b.swing - a.swing)
+
+  return {
+    baselineRunwayMonths,
+    horizonMonths: Math.max(scenario.projectionMonths, ANALYSIS_HORIZON_MONTHS),
+    perturbation,
+    drivers,
+  }
+}
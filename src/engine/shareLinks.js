@@ -0,0 +1,101 @@
+/**
+ * Share Links
+ *
+ * Scenarios are shared as short /s/:slug links backed by a server snapshot.
+ * When the server can't be reached the whole scenario goes in the URL
+ * instead (?scenario=..., compacted by the scenario codec). Older links with
+ * plain JSON in ?scenario= keep opening.
+ *
+ * Protected links carry their access token in the URL fragment (#token=...),
+ * which browsers never send to the server or in the Referer header.
+ */
+
+import { createShare } from './scenarioApi.js'
+import { encodeScenario } from './scenarioCodec.js'
+
+const SHARE_PATH_PATTERN = /\/s\/([0-9A-Za-z]+)\/?$/
+
+// Root of the app, without any /s/:slug part of the current URL
+function appBaseUrl() {
+  const basePath = window.location.pathname.replace(SHARE_PATH_PATTERN, '/')
+  return `${window.location.origin}${basePath}`
+}
+
+/**
+ * Builds a link to the app itself
+ *
+ * @param {Object} params - Query parameters to add, e.g. { mode: 'viral' }
+ * @returns {string} Absolute URL
+ */
+export function buildAppUrl(params = {}) {
+  const query = new URLSearchParams(params).toString()
+  return query ? `${appBaseUrl()}?${query}` : appBaseUrl()
+}
+
+/**
+ * Builds a self-contained link with the whole scenario in the URL
+ *
+ * @param {Object} scenario - Scenario to share
+ * @param {Object} params - Extra query parameters, e.g. { mode: 'viral' }
+ * @returns {string} Absolute URL
+ */
+export function buildLongShareLink(scenario, params = {}) {
+  return buildAppUrl({ ...params, scenario: encodeScenario(scenario) })
+}
+
+// Short link for a stored share, with its access token in the fragment if it has one
+function shortShareLink({ slug, token }, params) {
+  const query = new URLSearchParams(params).toString()
+  const fragment = token ? `#${new URLSearchParams({ token })}` : ''
+  return `${appBaseUrl()}s/${slug}${query ? `?${query}` : ''}${fragment}`
+}
+
+/**
+ * Creates a short share link, falling back to a long link when the server
+ * is unavailable
+ *
+ * @param {Object} scenario - Scenario to share
+ * @param {Object} params - Extra query parameters, e.g. { mode: 'viral' }
+ * @returns {Promise<string>} Absolute URL
+ */
+export async function createShareLink(scenario, params = {}) {
+  try {
+    return shortShareLink(await createShare(scenario), params)
+  } catch (error) {
+    console.error('Failed to create short share link, using a long link instead:', error)
+    return buildLongShareLink(scenario, params)
+  }
+}
+
+/**
+ * Creates a short share link that needs its access token and expires. There
+ * is no offline fallback: a long link would expose the scenario to anyone.
+ *
+ * @param {Object} scenario - Scenario to share
+ * @param {number} expiresInDays - Days until the link stops opening
+ * @returns {Promise<Object>} { url, expiresAt }
+ * @throws {Error} When the server can't create the share
+ */
+export async function createProtectedShareLink(scenario, expiresInDays) {
+  const share = await createShare(scenario, { expiresInDays })
+  return { url: shortShareLink(share, {}), expiresAt: share.expiresAt }
+}
+
+/**
+ * Reads the share slug from the current URL
+ *
+ * @returns {string|null} Slug when the app was opened from /s/:slug
+ */
+export function readShareSlug() {
+  const match = window.location.pathname.match(SHARE_PATH_PATTERN)
+  return match ? match[1] : null
+}
+
+/**
+ * Reads a protected share's access token from the URL fragment
+ *
+ * @returns {string|null} Token when the link has one
+ */
+export function readShareToken() {
+  return new URLSearchParams(window.location.hash.slice(1)).get('token')
+}
@@ -0,0 +1,22 @@
+import { useEffect, useState } from 'react'
+
+/**
+ * Returns `value` once it has stopped changing for `delayMs`
+ *
+ * Lets components put off slow, synchronous engine work (simulations,
+ * searches over many engine runs) until the user pauses editing.
+ *
+ * @param {*} value - Value to follow
+ * @param {number} delayMs - Quiet time before the returned value catches up
+ * @returns {*} The latest value that has held still for delayMs
+ */
+export function useDebouncedValue(value, delayMs) {
+  const [debounced, setDebounced] = useState(value)
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delayMs)
+    return () => clearTimeout(timer)
+  }, [value, delayMs])
+
+  return debounced
+}